@@ -0,0 +1,26 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { draftMode } from 'next/headers';
+
+// Configuración para Next.js
+// Nota: En modo export, las rutas de API no funcionan en producción
+export const dynamic = 'force-dynamic';
+export const revalidate = 0; // No cachear
+
+/**
+ * Desactiva el modo borrador y vuelve a la página desde la que se salió
+ * Solo acepta en `redirect` rutas del propio sitio: el destino se resuelve
+ * antes de comprobarlo, porque los navegadores leen `/\dominio` o `//dominio`
+ * como otro origen
+ */
+export async function GET(request: NextRequest): Promise<NextResponse> {
+  (await draftMode()).disable();
+  
+  const requestUrl = new URL(request.url);
+  const redirect = requestUrl.searchParams.get('redirect');
+  const target = redirect && !redirect.includes('\\') && URL.canParse(redirect, requestUrl) ? new URL(redirect, requestUrl) : null;
+  const destination = target && target.origin === requestUrl.origin ? target : new URL('/', requestUrl);
+  
+  console.log('👁️ Modo borrador desactivado');
+  
+  return NextResponse.redirect(destination);
+}
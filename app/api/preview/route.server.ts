@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { draftMode } from 'next/headers';
+import { isValidPreviewSecret } from '@/app/lib/api/preview';
+
+// Configuración para Next.js
+// Nota: En modo export, las rutas de API no funcionan en producción
+// El modo borrador solo está disponible en el servidor de desarrollo/preview
+export const dynamic = 'force-dynamic';
+export const revalidate = 0; // No cachear
+
+/**
+ * Activa el modo borrador y redirige al artículo
+ * Se configura como URL de vista previa en Strapi:
+ * /api/preview?secret=<STRAPI_PREVIEW_SECRET>&slug=<slug del artículo>
+ */
+export async function GET(request: NextRequest): Promise<NextResponse> {
+  const { searchParams } = new URL(request.url);
+  
+  if (!isValidPreviewSecret(searchParams.get('secret'))) {
+    console.warn('🚫 Intento de activar el modo borrador con un secreto inválido');
+    return NextResponse.json({ error: 'Token inválido' }, { status: 401 });
+  }
+  
+  (await draftMode()).enable();
+  
+  // La ruta se construye aquí para no aceptar redirecciones arbitrarias
+  const slug = searchParams.get('slug');
+  const destination = slug ? `/news/${encodeURIComponent(slug)}/` : '/';
+  
+  console.log(`👁️ Modo borrador activado: ${destination}`);
+  
+  return NextResponse.redirect(new URL(destination, request.url));
+}
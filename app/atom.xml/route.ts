@@ -0,0 +1,20 @@
+import { fetchFeedArticles } from '@/app/lib/api/articles';
+import { createFeedResponse } from '@/app/lib/feeds';
+
+// Se genera en el build como out/atom.xml
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+/**
+ * Feed Atom con las últimas noticias
+ */
+export async function GET(): Promise<Response> {
+  const articles = await fetchFeedArticles();
+  
+  return createFeedResponse('atom', {
+    description: 'Últimas noticias',
+    path: '/',
+    feedPath: '/atom.xml',
+    articles,
+  });
+}
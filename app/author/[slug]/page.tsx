@@ -0,0 +1,43 @@
+import { notFound } from 'next/navigation';
+import AuthorView from '@/app/components/articles/AuthorView';
+import { fetchAuthorBySlug } from '@/app/lib/api/authors';
+import { buildPageMetadata } from '@/app/lib/seo';
+import { generateParamsWithPlaceholder, isPlaceholderParam, PLACEHOLDER_PARAM } from '@/app/lib/static-params';
+
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+// Metadatos del autor
+export const generateMetadata = async ({ params }: { params: { slug: string } }) => {
+  const author = await fetchAuthorBySlug(params.slug);
+  
+  return buildPageMetadata({
+    title: author?.name || 'Autor no encontrado',
+    description: author ? `Noticias publicadas por ${author.name}` : undefined,
+    path: `/author/${params.slug}/`,
+  });
+};
+
+// Generar una ruta estática por cada autor de Strapi
+export async function generateStaticParams() {
+  return generateParamsWithPlaceholder('rutas estáticas de autores', async () => {
+    const { fetchAllAuthorSlugs } = await import('@/app/lib/api/authors');
+    const slugs = await fetchAllAuthorSlugs();
+    
+    return slugs.map((slug: string) => ({
+      slug,
+    }));
+  }, { slug: PLACEHOLDER_PARAM });
+}
+
+type PageParams = {
+  slug: string;
+};
+
+export default async function AuthorPage({ params }: { params: PageParams }) {
+  if (isPlaceholderParam(params.slug)) {
+    notFound();
+  }
+  
+  return <AuthorView slug={params.slug} page={1} />;
+}
@@ -0,0 +1,54 @@
+import { notFound } from 'next/navigation';
+import AuthorView from '@/app/components/articles/AuthorView';
+import { fetchAuthorBySlug } from '@/app/lib/api/authors';
+import { buildPageMetadata } from '@/app/lib/seo';
+import { generateParamsWithPlaceholder, PLACEHOLDER_PARAM } from '@/app/lib/static-params';
+
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+// Generar /author/<slug>/page/2, /page/3... según la paginación de Strapi
+// La primera página se sirve desde /author/<slug>
+export async function generateStaticParams() {
+  return generateParamsWithPlaceholder('páginas adicionales de autores', async () => {
+    const { fetchAuthors } = await import('@/app/lib/api/authors');
+    const { fetchArticlesByAuthor } = await import('@/app/lib/api/articles');
+    const authors = await fetchAuthors();
+    const params: PageParams[] = [];
+    
+    for (const author of authors) {
+      const { pagination } = await fetchArticlesByAuthor(author, 1);
+      
+      for (let page = 2; page <= pagination.pageCount; page++) {
+        params.push({ slug: author.slug, page: String(page) });
+      }
+    }
+    
+    return params;
+  }, { slug: PLACEHOLDER_PARAM, page: PLACEHOLDER_PARAM });
+}
+
+type PageParams = {
+  slug: string;
+  page: string;
+};
+
+// Cada página del autor es canónica de sí misma
+export const generateMetadata = async ({ params }: { params: PageParams }) => {
+  const author = await fetchAuthorBySlug(params.slug);
+  
+  return buildPageMetadata({
+    title: `${author?.name || params.slug} - Página ${params.page}`,
+    path: `/author/${params.slug}/page/${params.page}/`,
+  });
+};
+
+export default async function AuthorPaginatedPage({ params }: { params: PageParams }) {
+  const page = Number(params.page);
+  
+  if (!Number.isInteger(page) || page < 2) {
+    notFound();
+  }
+  
+  return <AuthorView slug={params.slug} page={page} />;
+}
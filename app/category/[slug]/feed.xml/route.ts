@@ -0,0 +1,43 @@
+import { fetchFeedArticles } from '@/app/lib/api/articles';
+import { fetchAllCategorySlugs, fetchCategoryBySlug } from '@/app/lib/api/categories';
+import { createFeedResponse } from '@/app/lib/feeds';
+import { generateParamsWithPlaceholder, isPlaceholderParam, PLACEHOLDER_PARAM } from '@/app/lib/static-params';
+
+// Se genera en el build como out/category/<slug>/feed.xml
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+// Un feed por cada categoría de Strapi
+export async function generateStaticParams() {
+  return generateParamsWithPlaceholder('feeds RSS de categorías', async () => {
+    const slugs = await fetchAllCategorySlugs();
+    
+    return slugs.map((slug: string) => ({
+      slug,
+    }));
+  }, { slug: PLACEHOLDER_PARAM });
+}
+
+/**
+ * Feed RSS 2.0 con las últimas noticias de una categoría
+ */
+export async function GET(_request: Request, { params }: { params: Promise<{ slug: string }> }): Promise<Response> {
+  const { slug } = await params;
+  
+  if (isPlaceholderParam(slug)) {
+    return new Response('Not Found', { status: 404 });
+  }
+  
+  const [category, articles] = await Promise.all([
+    fetchCategoryBySlug(slug),
+    fetchFeedArticles(slug),
+  ]);
+  
+  return createFeedResponse('rss', {
+    title: category?.name || slug,
+    description: category?.description || `Últimas noticias de ${category?.name || slug}`,
+    path: `/category/${slug}/`,
+    feedPath: `/category/${slug}/feed.xml`,
+    articles,
+  });
+}
@@ -0,0 +1,48 @@
+import { notFound } from 'next/navigation';
+import CategoryView from '@/app/components/articles/CategoryView';
+import { fetchCategoryBySlug } from '@/app/lib/api/categories';
+import { buildPageMetadata } from '@/app/lib/seo';
+import { generateParamsWithPlaceholder, isPlaceholderParam, PLACEHOLDER_PARAM } from '@/app/lib/static-params';
+
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+// Metadatos de la categoría
+export const generateMetadata = async ({ params }: { params: { slug: string } }) => {
+  const category = await fetchCategoryBySlug(params.slug);
+  
+  return buildPageMetadata({
+    title: category?.name || 'Categoría no encontrada',
+    description: category?.description || (category ? `Últimas noticias de ${category.name}` : undefined),
+    path: `/category/${params.slug}/`,
+    // Feeds de la categoría
+    feeds: {
+      'application/rss+xml': `/category/${params.slug}/feed.xml`,
+      'application/atom+xml': `/category/${params.slug}/atom.xml`,
+    },
+  });
+};
+
+// Generar una ruta estática por cada categoría de Strapi
+export async function generateStaticParams() {
+  return generateParamsWithPlaceholder('rutas estáticas de categorías', async () => {
+    const { fetchAllCategorySlugs } = await import('@/app/lib/api/categories');
+    const slugs = await fetchAllCategorySlugs();
+    
+    return slugs.map((slug: string) => ({
+      slug,
+    }));
+  }, { slug: PLACEHOLDER_PARAM });
+}
+
+type PageParams = {
+  slug: string;
+};
+
+export default async function CategoryPage({ params }: { params: PageParams }) {
+  if (isPlaceholderParam(params.slug)) {
+    notFound();
+  }
+  
+  return <CategoryView slug={params.slug} page={1} />;
+}
@@ -0,0 +1,54 @@
+import { notFound } from 'next/navigation';
+import CategoryView from '@/app/components/articles/CategoryView';
+import { fetchCategoryBySlug } from '@/app/lib/api/categories';
+import { buildPageMetadata } from '@/app/lib/seo';
+import { generateParamsWithPlaceholder, PLACEHOLDER_PARAM } from '@/app/lib/static-params';
+
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+// Generar /category/<slug>/page/2, /page/3... según la paginación de Strapi
+// La primera página se sirve desde /category/<slug>
+export async function generateStaticParams() {
+  return generateParamsWithPlaceholder('páginas adicionales de categorías', async () => {
+    const { fetchAllCategorySlugs } = await import('@/app/lib/api/categories');
+    const { fetchArticlesByCategory } = await import('@/app/lib/api/articles');
+    const slugs = await fetchAllCategorySlugs();
+    const params: PageParams[] = [];
+    
+    for (const slug of slugs) {
+      const { pagination } = await fetchArticlesByCategory(slug, 1);
+      
+      for (let page = 2; page <= pagination.pageCount; page++) {
+        params.push({ slug, page: String(page) });
+      }
+    }
+    
+    return params;
+  }, { slug: PLACEHOLDER_PARAM, page: PLACEHOLDER_PARAM });
+}
+
+type PageParams = {
+  slug: string;
+  page: string;
+};
+
+// Cada página de la categoría es canónica de sí misma
+export const generateMetadata = async ({ params }: { params: PageParams }) => {
+  const category = await fetchCategoryBySlug(params.slug);
+  
+  return buildPageMetadata({
+    title: `${category?.name || params.slug} - Página ${params.page}`,
+    path: `/category/${params.slug}/page/${params.page}/`,
+  });
+};
+
+export default async function CategoryPaginatedPage({ params }: { params: PageParams }) {
+  const page = Number(params.page);
+  
+  if (!Number.isInteger(page) || page < 2) {
+    notFound();
+  }
+  
+  return <CategoryView slug={params.slug} page={page} />;
+}
@@ -0,0 +1,43 @@
+import Link from 'next/link';
+import { Article } from '@/app/types';
+import ResponsiveImage from '@/app/components/media/ResponsiveImage';
+
+interface ArticleCardProps {
+  article: Article;
+}
+
+export default function ArticleCard({ article }: ArticleCardProps) {
+  return (
+    <Link href={{ pathname: `/news/${article.slug}` }}>
+      <div className="bg-white shadow-md rounded-lg overflow-hidden hover:shadow-lg transition-shadow duration-300">
+        <div className="relative h-48 w-full">
+          <ResponsiveImage
+            media={article.cover}
+            sizes="(min-width: 768px) 33vw, 100vw"
+            fill
+            className="object-cover"
+          />
+        </div>
+        <div className="p-4">
+          <h3 className="text-lg font-bold mb-2">{article.title}</h3>
+          <p className="text-gray-600 mb-4 line-clamp-3">{article.description}</p>
+          {article.author && (
+            <p className="text-sm text-gray-700 mb-2">Por {article.author.name}</p>
+          )}
+          <div className="flex justify-between items-center">
+            <span className="text-sm text-gray-500">
+              {new Date(article.publishedAt).toLocaleDateString('es-ES', {
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric'
+              })}
+            </span>
+            <span className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
+              {article.category?.name || 'General'}
+            </span>
+          </div>
+        </div>
+      </div>
+    </Link>
+  );
+}
@@ -0,0 +1,34 @@
+import { Article, Pagination as PaginationMeta } from '@/app/types';
+import ArticleCard from './ArticleCard';
+import Pagination from './Pagination';
+
+interface ArticleListingProps {
+  articles: Article[];
+  pagination: PaginationMeta;
+  basePath: string;
+  emptyMessage: string;
+}
+
+/**
+ * Grid paginado de artículos con estado vacío
+ */
+export default function ArticleListing({ articles, pagination, basePath, emptyMessage }: ArticleListingProps) {
+  if (articles.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500 text-lg">{emptyMessage}</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {articles.map((article) => (
+          <ArticleCard key={article.id} article={article} />
+        ))}
+      </div>
+      <Pagination page={pagination.page} pageCount={pagination.pageCount} basePath={basePath} />
+    </>
+  );
+}
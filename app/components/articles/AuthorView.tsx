@@ -0,0 +1,51 @@
+import { notFound } from 'next/navigation';
+import { fetchArticlesByAuthor } from '@/app/lib/api/articles';
+import { fetchAuthorBySlug } from '@/app/lib/api/authors';
+import Header from '@/app/components/layout/Header';
+import Footer from '@/app/components/layout/Footer';
+import ArticleListing from './ArticleListing';
+
+interface AuthorViewProps {
+  slug: string;
+  page: number;
+}
+
+/**
+ * Perfil de un autor con el listado paginado de sus artículos
+ */
+export default async function AuthorView({ slug, page }: AuthorViewProps) {
+  const author = await fetchAuthorBySlug(slug);
+  
+  if (!author) {
+    notFound();
+  }
+  
+  const { articles, pagination } = await fetchArticlesByAuthor(author, page);
+  
+  // Las páginas después de la última no existen; la primera sí, aunque el autor no tenga artículos
+  if (page > 1 && page > pagination.pageCount) {
+    notFound();
+  }
+  
+  return (
+    <>
+      <Header />
+      <main className="container mx-auto px-4 py-8">
+        <h1 className="text-3xl font-bold mb-2 text-center">{author.name}</h1>
+        <p className="text-gray-600 mb-8 text-center">
+          {pagination.total === 1 ? '1 artículo publicado' : `${pagination.total} artículos publicados`}
+        </p>
+        
+        <div className="mt-8">
+          <ArticleListing
+            articles={articles}
+            pagination={pagination}
+            basePath={`/author/${author.slug}`}
+            emptyMessage="Este autor todavía no ha publicado noticias."
+          />
+        </div>
+      </main>
+      <Footer />
+    </>
+  );
+}
@@ -0,0 +1,51 @@
+import { notFound } from 'next/navigation';
+import { fetchArticlesByCategory } from '@/app/lib/api/articles';
+import { fetchCategoryBySlug } from '@/app/lib/api/categories';
+import Header from '@/app/components/layout/Header';
+import Footer from '@/app/components/layout/Footer';
+import ArticleListing from './ArticleListing';
+
+interface CategoryViewProps {
+  slug: string;
+  page: number;
+}
+
+/**
+ * Listado paginado de los artículos de una categoría
+ */
+export default async function CategoryView({ slug, page }: CategoryViewProps) {
+  const category = await fetchCategoryBySlug(slug);
+  
+  if (!category) {
+    notFound();
+  }
+  
+  const { articles, pagination } = await fetchArticlesByCategory(slug, page);
+  
+  // Una página más allá de la última no existe (la primera sí, aunque esté vacía)
+  if (page > 1 && page > pagination.pageCount) {
+    notFound();
+  }
+  
+  return (
+    <>
+      <Header />
+      <main className="container mx-auto px-4 py-8">
+        <h1 className="text-3xl font-bold mb-2 text-center capitalize">{category.name}</h1>
+        {category.description && (
+          <p className="text-gray-600 mb-8 text-center">{category.description}</p>
+        )}
+        
+        <div className="mt-8">
+          <ArticleListing
+            articles={articles}
+            pagination={pagination}
+            basePath={`/category/${category.slug}`}
+            emptyMessage="Todavía no hay noticias en esta categoría."
+          />
+        </div>
+      </main>
+      <Footer />
+    </>
+  );
+}
@@ -0,0 +1,38 @@
+import { notFound } from 'next/navigation';
+import { fetchArticlesPage } from '@/app/lib/api/articles';
+import Header from '@/app/components/layout/Header';
+import Footer from '@/app/components/layout/Footer';
+import ArticleListing from './ArticleListing';
+
+interface NewsArchiveViewProps {
+  page: number;
+}
+
+/**
+ * Archivo paginado con todas las noticias
+ */
+export default async function NewsArchiveView({ page }: NewsArchiveViewProps) {
+  const { articles, pagination } = await fetchArticlesPage(page);
+  
+  // La primera página existe aunque no haya noticias; las siguientes, solo hasta la última
+  if (page > 1 && page > pagination.pageCount) {
+    notFound();
+  }
+  
+  return (
+    <>
+      <Header />
+      <main className="container mx-auto px-4 py-8">
+        <h1 className="text-3xl font-bold mb-8 text-center">Archivo de noticias</h1>
+        
+        <ArticleListing
+          articles={articles}
+          pagination={pagination}
+          basePath="/news"
+          emptyMessage="No hay noticias disponibles en este momento."
+        />
+      </main>
+      <Footer />
+    </>
+  );
+}
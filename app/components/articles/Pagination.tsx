@@ -0,0 +1,40 @@
+import Link from 'next/link';
+
+interface PaginationProps {
+  page: number;
+  pageCount: number;
+  // Ruta del listado sin barra final, p. ej. `/category/tech`
+  basePath: string;
+}
+
+/**
+ * Devuelve la ruta estática de una página del listado
+ * La primera página vive en la ruta base y el resto en `/page/<n>`
+ */
+export function getPagePath(basePath: string, page: number): string {
+  return page <= 1 ? `${basePath}/` : `${basePath}/page/${page}/`;
+}
+
+export default function Pagination({ page, pageCount, basePath }: PaginationProps) {
+  if (pageCount <= 1) {
+    return null;
+  }
+
+  return (
+    <nav className="flex justify-between items-center mt-10" aria-label="Paginación">
+      {page > 1 ? (
+        <Link href={{ pathname: getPagePath(basePath, page - 1) }} rel="prev" className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded">
+          ← Anteriores
+        </Link>
+      ) : <span />}
+      <span className="text-gray-500">
+        Página {page} de {pageCount}
+      </span>
+      {page < pageCount ? (
+        <Link href={{ pathname: getPagePath(basePath, page + 1) }} rel="next" className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded">
+          Siguientes →
+        </Link>
+      ) : <span />}
+    </nav>
+  );
+}
@@ -0,0 +1,36 @@
+import { Block } from '@/app/types';
+import RichText from './RichText';
+import Quote from './Quote';
+import Media from './Media';
+import Slider from './Slider';
+
+interface BlockRendererProps {
+  blocks: Block[];
+}
+
+/**
+ * Renderiza los componentes de la dynamic zone `blocks` de un artículo
+ */
+export default function BlockRenderer({ blocks }: BlockRendererProps) {
+  return (
+    <>
+      {blocks.map((block) => {
+        const key = `${block.__component}-${block.id}`;
+
+        switch (block.__component) {
+          case 'shared.rich-text':
+            return <RichText key={key} block={block} />;
+          case 'shared.quote':
+            return <Quote key={key} block={block} />;
+          case 'shared.media':
+            return <Media key={key} block={block} />;
+          case 'shared.slider':
+            return <Slider key={key} block={block} />;
+          default:
+            // Ignorar componentes que todavía no sabemos renderizar
+            return null;
+        }
+      })}
+    </>
+  );
+}
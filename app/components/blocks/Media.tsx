@@ -0,0 +1,23 @@
+import { MediaBlock } from '@/app/types';
+import MediaFigure from '@/app/components/media/MediaFigure';
+import { CONTENT_IMAGE_SIZES } from '@/app/lib/utils/responsive-image.mjs';
+
+interface MediaProps {
+  block: MediaBlock;
+}
+
+export default function Media({ block }: MediaProps) {
+  // Strapi devuelve el bloque sin archivo si no se pobló la relación
+  if (!block.file?.url) {
+    return null;
+  }
+
+  return (
+    <MediaFigure
+      media={block.file}
+      sizes={CONTENT_IMAGE_SIZES}
+      imageClassName="w-full h-auto rounded-lg"
+      className="my-8"
+    />
+  );
+}
@@ -0,0 +1,16 @@
+import { QuoteBlock } from '@/app/types';
+
+interface QuoteProps {
+  block: QuoteBlock;
+}
+
+export default function Quote({ block }: QuoteProps) {
+  return (
+    <blockquote className="border-l-4 border-blue-800 pl-4 my-8 italic text-gray-700">
+      <p className="text-xl">{block.body}</p>
+      {block.title && (
+        <cite className="block mt-2 text-sm not-italic text-gray-500">— {block.title}</cite>
+      )}
+    </blockquote>
+  );
+}
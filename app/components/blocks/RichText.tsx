@@ -0,0 +1,16 @@
+import { RichTextBlock } from '@/app/types';
+import { renderMarkdown } from '@/app/lib/utils/markdown.mjs';
+
+interface RichTextProps {
+  block: RichTextBlock;
+}
+
+export default function RichText({ block }: RichTextProps) {
+  // El cuerpo llega en Markdown; renderMarkdown escapa todo el texto de entrada
+  return (
+    <div
+      className="prose max-w-none mb-6"
+      dangerouslySetInnerHTML={{ __html: renderMarkdown(block.body) }}
+    />
+  );
+}
@@ -0,0 +1,76 @@
+import Script from 'next/script';
+import { SliderBlock } from '@/app/types';
+import MediaFigure from '@/app/components/media/MediaFigure';
+import { SLIDER_IMAGE_SIZES, SLIDER_SCRIPT } from '@/app/lib/utils/slider.mjs';
+
+interface SliderProps {
+  block: SliderBlock;
+}
+
+/**
+ * Carrusel de imágenes de un bloque `shared.slider`
+ * El marcado es el mismo que generan los scripts estáticos: sin JavaScript se
+ * desliza con scroll-snap y el script compartido añade botones y teclado.
+ */
+export default function Slider({ block }: SliderProps) {
+  const files = (block.files || []).filter((file) => file?.url);
+
+  if (files.length === 0) {
+    return null;
+  }
+
+  const sliderId = `slider-${block.id}`;
+
+  return (
+    <div
+      className="relative my-8"
+      data-slider
+      role="region"
+      aria-roledescription="carrusel"
+      aria-label={`Galería de ${files.length} imágenes`}
+    >
+      <ul
+        className="flex overflow-x-auto snap-x snap-mandatory rounded-lg [scrollbar-width:none]"
+        data-slider-track
+        tabIndex={0}
+      >
+        {files.map((file, index) => (
+          <li
+            key={file.id ?? index}
+            id={`${sliderId}-${index + 1}`}
+            className="w-full flex-none snap-center"
+            aria-roledescription="diapositiva"
+            aria-label={`${index + 1} de ${files.length}`}
+          >
+            <MediaFigure media={file} sizes={SLIDER_IMAGE_SIZES} imageClassName="block w-full h-auto" />
+          </li>
+        ))}
+      </ul>
+
+      <button
+        type="button"
+        className="absolute left-2 top-[40%] h-10 w-10 rounded-full bg-black/50 text-2xl text-white disabled:opacity-30"
+        data-slider-prev
+        aria-label="Imagen anterior"
+        hidden
+      >
+        ‹
+      </button>
+      <button
+        type="button"
+        className="absolute right-2 top-[40%] h-10 w-10 rounded-full bg-black/50 text-2xl text-white disabled:opacity-30"
+        data-slider-next
+        aria-label="Imagen siguiente"
+        hidden
+      >
+        ›
+      </button>
+      <p className="sr-only" data-slider-status aria-live="polite" />
+
+      {/* Un único script por página (next/script deduplica por id) */}
+      <Script id="slider-script" strategy="afterInteractive">
+        {SLIDER_SCRIPT}
+      </Script>
+    </div>
+  );
+}
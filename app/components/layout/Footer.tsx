@@ -1,7 +1,9 @@
 import Link from 'next/link';
+import { getNavigation } from '@/app/lib/navigation';
 
-const Footer = () => {
+const Footer = async () => {
     const currentYear = new Date().getFullYear();
+    const navigation = await getNavigation();
     
     return (
         <footer className="bg-gray-800 text-white py-8">
@@ -21,31 +23,13 @@ const Footer = () => {
                     <div>
                         <h3 className="text-xl font-bold mb-4">Enlaces rápidos</h3>
                         <ul className="space-y-2">
-                            <li>
-                                <Link href="/" className="text-gray-300 hover:text-white transition-colors">
-                                    Inicio
-                                </Link>
-                            </li>
-                            <li>
-                                <Link href={{pathname: '/category/politica'}} className="text-gray-300 hover:text-white transition-colors">
-                                    Política
-                                </Link>
-                            </li>
-                            <li>
-                                <Link href={{pathname: '/category/economia'}} className="text-gray-300 hover:text-white transition-colors">
-                                    Economía
-                                </Link>
-                            </li>
-                            <li>
-                                <Link href={{pathname: '/category/deportes'}} className="text-gray-300 hover:text-white transition-colors">
-                                    Deportes
-                                </Link>
-                            </li>
-                            <li>
-                                <Link href={{pathname: '/category/cultura'}} className="text-gray-300 hover:text-white transition-colors">
-                                    Cultura
-                                </Link>
-                            </li>
+                            {navigation.map((item) => (
+                                <li key={item.href}>
+                                    <Link href={{pathname: item.href}} className="text-gray-300 hover:text-white transition-colors capitalize">
+                                        {item.label}
+                                    </Link>
+                                </li>
+                            ))}
                         </ul>
                     </div>
                     
@@ -0,0 +1,138 @@
+'use client';
+
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import type { NavigationItem } from '@/app/lib/navigation';
+
+interface MobileMenuProps {
+    navigation: NavigationItem[];
+}
+
+// Elementos que pueden recibir el foco dentro del panel
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Botón y panel lateral de navegación para móviles
+ * Es un componente de cliente: funciona igual en el export estático de S3
+ * porque solo depende del JavaScript que se hidrata en el navegador.
+ */
+const MobileMenu = ({ navigation }: MobileMenuProps) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const pathname = usePathname();
+    const buttonRef = useRef<HTMLButtonElement>(null);
+    const panelRef = useRef<HTMLDivElement>(null);
+
+    const close = useCallback(() => {
+        setIsOpen(false);
+        buttonRef.current?.focus();
+    }, []);
+
+    // Cerrar el panel al cambiar de ruta
+    useEffect(() => {
+        setIsOpen(false);
+    }, [pathname]);
+
+    useEffect(() => {
+        if (!isOpen) {
+            return;
+        }
+
+        const panel = panelRef.current;
+        const focusable = panel ? Array.from(panel.querySelectorAll<HTMLElement>(FOCUSABLE_SELECTOR)) : [];
+        focusable[0]?.focus();
+
+        // Evitar el scroll de la página mientras el panel está abierto
+        const previousOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+
+        const handleKeyDown = (event: KeyboardEvent) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close();
+                return;
+            }
+
+            // Mantener el foco dentro del panel
+            if (event.key === 'Tab' && focusable.length > 0) {
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+
+                if (event.shiftKey && document.activeElement === first) {
+                    event.preventDefault();
+                    last.focus();
+                } else if (!event.shiftKey && document.activeElement === last) {
+                    event.preventDefault();
+                    first.focus();
+                }
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = previousOverflow;
+        };
+    }, [isOpen, close]);
+
+    return (
+        <div className="md:hidden">
+            <button
+                ref={buttonRef}
+                type="button"
+                className="text-gray-700 hover:text-blue-800"
+                aria-label={isOpen ? 'Cerrar menú' : 'Abrir menú'}
+                aria-expanded={isOpen}
+                aria-controls="mobile-menu"
+                onClick={() => setIsOpen((open) => !open)}
+            >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+                </svg>
+            </button>
+
+            {isOpen && (
+                <div className="fixed inset-0 z-50">
+                    {/* Fondo: al pulsar fuera del panel se cierra */}
+                    <div className="absolute inset-0 bg-black/50" aria-hidden="true" onClick={close} />
+
+                    <div
+                        ref={panelRef}
+                        id="mobile-menu"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-label="Menú de navegación"
+                        className="absolute inset-y-0 right-0 w-64 bg-white shadow-xl p-6 flex flex-col"
+                    >
+                        <button
+                            type="button"
+                            className="self-end text-gray-700 hover:text-blue-800 mb-6"
+                            aria-label="Cerrar menú"
+                            onClick={close}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+
+                        <nav className="flex flex-col space-y-4">
+                            {navigation.map((item) => (
+                                <Link
+                                    key={item.href}
+                                    href={{pathname: item.href}}
+                                    className="text-gray-700 hover:text-blue-800 font-medium capitalize"
+                                    onClick={() => setIsOpen(false)}
+                                >
+                                    {item.label}
+                                </Link>
+                            ))}
+                        </nav>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default MobileMenu;
@@ -0,0 +1,29 @@
+'use client';
+
+import { usePathname } from 'next/navigation';
+
+/**
+ * Aviso fijo de modo borrador con el enlace para salir de él
+ * Solo se renderiza cuando la petición tiene el modo borrador activo, así que
+ * nunca aparece en el export estático de S3.
+ */
+const PreviewBanner = () => {
+    const pathname = usePathname();
+    const exitHref = `/api/preview/exit?redirect=${encodeURIComponent(pathname || '/')}`;
+
+    return (
+        <div role="status" className="sticky top-0 z-50 bg-yellow-400 text-yellow-900 text-sm">
+            <div className="container mx-auto px-4 py-2 flex justify-between items-center">
+                <span className="font-medium">
+                    Modo borrador: estás viendo contenido sin publicar
+                </span>
+                {/* Enlace normal: la ruta de API no es una página de la app */}
+                <a href={exitHref} className="underline font-semibold hover:text-yellow-700">
+                    Salir del modo borrador
+                </a>
+            </div>
+        </div>
+    );
+};
+
+export default PreviewBanner;
@@ -0,0 +1,43 @@
+import { Media } from '@/app/types';
+import { getCaption } from '@/app/lib/utils/alt-text.mjs';
+import ResponsiveImage from './ResponsiveImage';
+
+interface MediaFigureProps {
+  media: Media;
+  sizes: string;
+  // Clases del contenedor de la imagen; con `fill` debe fijar la altura
+  frameClassName?: string;
+  imageClassName?: string;
+  captionClassName?: string;
+  fill?: boolean;
+  priority?: boolean;
+  className?: string;
+}
+
+/**
+ * Imagen de Strapi dentro de un `<figure>` con su pie de foto (`caption`)
+ * El texto alternativo sale del `alternativeText` de la imagen.
+ */
+export default function MediaFigure({
+  media,
+  sizes,
+  frameClassName = '',
+  imageClassName = '',
+  captionClassName = '',
+  fill = false,
+  priority = false,
+  className = '',
+}: MediaFigureProps) {
+  const caption = getCaption(media);
+
+  return (
+    <figure className={className}>
+      <div className={fill ? `relative ${frameClassName}` : frameClassName}>
+        <ResponsiveImage media={media} sizes={sizes} fill={fill} priority={priority} className={imageClassName} />
+      </div>
+      {caption && (
+        <figcaption className={`mt-2 text-sm text-gray-500 ${captionClassName}`}>{caption}</figcaption>
+      )}
+    </figure>
+  );
+}
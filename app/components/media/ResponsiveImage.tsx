@@ -0,0 +1,41 @@
+import { Media } from '@/app/types';
+import { getStrapiMediaUrl } from '@/app/lib/utils/media';
+import { buildSrcSet, getDefaultSource } from '@/app/lib/utils/responsive-image.mjs';
+import { getAltText } from '@/app/lib/utils/alt-text.mjs';
+
+interface ResponsiveImageProps {
+  media: Media;
+  // Por defecto, el `alternativeText` de Strapi (vacío si la imagen es decorativa)
+  alt?: string;
+  // Ancho que ocupará la imagen en cada breakpoint (atributo `sizes`)
+  sizes: string;
+  // Ocupa todo el contenedor (que debe ser `relative`), como `fill` en next/image
+  fill?: boolean;
+  // Imagen principal de la página: se carga sin lazy loading
+  priority?: boolean;
+  className?: string;
+}
+
+/**
+ * Imagen de Strapi con srcset a partir de sus `formats`
+ * Usa un `<img>` normal porque el export estático desactiva la optimización de
+ * next/image, que sin ella solo emitiría la URL del original.
+ */
+export default function ResponsiveImage({ media, alt, sizes, fill = false, priority = false, className = '' }: ResponsiveImageProps) {
+  const source = getDefaultSource(media);
+
+  return (
+    <img
+      src={getStrapiMediaUrl(source.url)}
+      srcSet={buildSrcSet(media, getStrapiMediaUrl)}
+      sizes={sizes}
+      alt={alt ?? getAltText(media)}
+      width={source.width ?? undefined}
+      height={source.height ?? undefined}
+      loading={priority ? 'eager' : 'lazy'}
+      fetchPriority={priority ? 'high' : undefined}
+      decoding="async"
+      className={fill ? `absolute inset-0 h-full w-full ${className}` : className}
+    />
+  );
+}
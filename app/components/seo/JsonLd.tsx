@@ -0,0 +1,17 @@
+import { serializeJsonLd } from '@/app/lib/utils/seo.mjs';
+
+interface JsonLdProps {
+  data: object | object[];
+}
+
+/**
+ * Datos estructurados JSON-LD para buscadores
+ */
+export default function JsonLd({ data }: JsonLdProps) {
+  return (
+    <script
+      type="application/ld+json"
+      dangerouslySetInnerHTML={{ __html: serializeJsonLd(data) }}
+    />
+  );
+}
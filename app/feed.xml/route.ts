@@ -0,0 +1,20 @@
+import { fetchFeedArticles } from '@/app/lib/api/articles';
+import { createFeedResponse } from '@/app/lib/feeds';
+
+// Se genera en el build como out/feed.xml
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+/**
+ * Feed RSS 2.0 con las últimas noticias
+ */
+export async function GET(): Promise<Response> {
+  const articles = await fetchFeedArticles();
+  
+  return createFeedResponse('rss', {
+    description: 'Últimas noticias',
+    path: '/',
+    feedPath: '/feed.xml',
+    articles,
+  });
+}
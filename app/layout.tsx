@@ -1,6 +1,10 @@
 import type { Metadata } from "next";
 import { Geist, Geist_Mono } from "next/font/google";
 import "./globals.css";
+import PreviewBanner from "@/app/components/layout/PreviewBanner";
+import { isPreviewEnabled } from "@/app/lib/api/preview";
+import { getSiteName, getSiteUrl, SITE_LOCALE } from "@/app/lib/utils/seo.mjs";
+import { SITE_FEEDS } from "@/app/lib/seo";
 
 const geistSans = Geist({
   variable: "--font-geist-sans",
@@ -12,21 +16,44 @@ const geistMono = Geist_Mono({
   subsets: ["latin"],
 });
 
+const SITE_DESCRIPTION = "Las últimas noticias de la región: actualidad, categorías y autores.";
+
 export const metadata: Metadata = {
-  title: "Create Next App",
-  description: "Generated by create next app",
+  // Base para las URLs relativas de canonical, Open Graph y feeds
+  metadataBase: new URL(getSiteUrl()),
+  title: {
+    default: getSiteName(),
+    template: `%s | ${getSiteName()}`,
+  },
+  description: SITE_DESCRIPTION,
+  openGraph: {
+    type: "website",
+    siteName: getSiteName(),
+    locale: SITE_LOCALE,
+    description: SITE_DESCRIPTION,
+  },
+  twitter: {
+    card: "summary",
+  },
+  // Feeds de noticias para lectores y agregadores
+  alternates: {
+    types: SITE_FEEDS,
+  },
 };
 
-export default function RootLayout({
+export default async function RootLayout({
   children,
 }: Readonly<{
   children: React.ReactNode;
 }>) {
+  const preview = await isPreviewEnabled();
+
   return (
-    <html lang="en">
+    <html lang="es">
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
+        {preview && <PreviewBanner />}
         {children}
       </body>
     </html>
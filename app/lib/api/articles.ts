@@ -1,42 +1,128 @@
-import { Article } from '@/app/types';
+import { Article, Author, PaginatedArticles } from '@/app/types';
+import { paginate, collectPages } from './pagination.mjs';
+import { strapi, strapiPreview } from './strapi';
+import { isPreviewEnabled } from './preview';
+import { normalizeArticle } from './normalize.mjs';
+import { handleFetchError } from './build-mode.mjs';
+import { ARTICLE_POPULATE } from './queries.mjs';
+import { FEED_ITEMS } from '@/app/lib/utils/feed.mjs';
 
-const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1337';
+// Número de artículos por página en los listados paginados
+export const ARTICLES_PAGE_SIZE = Number(process.env.ARTICLES_PAGE_SIZE) || 12;
 
 /**
- * Obtiene todos los artículos de Strapi
+ * Consulta la colección de artículos de Strapi
+ * En modo borrador pide `status=draft` (la última versión, publicada o no) a la
+ * API en vivo; si no, solo el contenido publicado.
+ * @param query Parámetros de consulta de Strapi
  */
-export async function fetchArticles(): Promise<Article[]> {
+async function requestArticles(query: string) {
+  if (await isPreviewEnabled()) {
+    return strapiPreview.request(`/api/articles?status=draft&${query}`);
+  }
+  
+  return strapi.request(`/api/articles?${query}`);
+}
+
+/**
+ * Itera sobre todas las páginas de artículos de Strapi
+ * Sigue `meta.pagination.pageCount`, así que no depende del pageSize por defecto
+ * de Strapi (25) ni de su límite máximo (100). Los builds deben usarlo siempre
+ * que necesiten la colección completa.
+ * @param query Parámetros de consulta de Strapi (populate, fields, sort...)
+ */
+export async function* iterateArticles(query: string = 'populate=*'): AsyncGenerator<Article[]> {
+  const pages = paginate(async (page: number, pageSize: number) => {
+    return requestArticles(`${query}&pagination[page]=${page}&pagination[pageSize]=${pageSize}`);
+  });
+  
+  for await (const entries of pages) {
+    yield entries.map(normalizeArticle);
+  }
+}
+
+/**
+ * Obtiene los artículos más recientes de Strapi (la portada)
+ * Solo pide la primera página: la colección completa se recorre con
+ * iterateArticles donde hace falta (slugs, sitemap, feeds y listados)
+ * @param limit Número máximo de artículos
+ */
+export async function fetchArticles(limit: number = ARTICLES_PAGE_SIZE): Promise<Article[]> {
+  const { articles } = await fetchArticlesPage(1, limit);
+  return articles;
+}
+
+/**
+ * Obtiene una página del archivo de noticias, ordenada por fecha
+ */
+export async function fetchArticlesPage(
+  page: number = 1,
+  pageSize: number = ARTICLES_PAGE_SIZE
+): Promise<PaginatedArticles> {
+  return fetchPaginatedArticles('', page, pageSize);
+}
+
+/**
+ * Obtiene una página de artículos de una categoría, ordenados por fecha
+ */
+export async function fetchArticlesByCategory(
+  categorySlug: string,
+  page: number = 1,
+  pageSize: number = ARTICLES_PAGE_SIZE
+): Promise<PaginatedArticles> {
+  return fetchPaginatedArticles(`filters[category][slug][$eq]=${categorySlug}&`, page, pageSize);
+}
+
+/**
+ * Obtiene una página de artículos de un autor, ordenados por fecha
+ * Recibe el autor ya resuelto (fetchAuthorBySlug) para no volver a pedir la
+ * lista de autores en cada página
+ */
+export async function fetchArticlesByAuthor(
+  author: Author,
+  page: number = 1,
+  pageSize: number = ARTICLES_PAGE_SIZE
+): Promise<PaginatedArticles> {
+  return fetchPaginatedArticles(`filters[author][id][$eq]=${author.id}&`, page, pageSize);
+}
+
+/**
+ * Obtiene una página de artículos junto con la paginación de Strapi (`meta.pagination`)
+ * @param filters Filtros de Strapi ya serializados, terminados en `&`
+ */
+async function fetchPaginatedArticles(filters: string, page: number, pageSize: number): Promise<PaginatedArticles> {
+  const emptyPage = { articles: [], pagination: { page, pageSize, pageCount: 0, total: 0 } };
+  
   try {
-    const response = await fetch(`${STRAPI_URL}/api/articles?populate=*`, {
-      cache: 'no-store',
-    });
+    const data = await requestArticles(`${filters}populate=*&sort[0]=publishedAt:desc&pagination[page]=${page}&pagination[pageSize]=${pageSize}`);
     
-    if (!response.ok) {
-      throw new Error(`Error fetching articles: ${response.status}`);
+    if (!data.data || !Array.isArray(data.data)) {
+      return emptyPage;
     }
     
-    const data = await response.json();
+    return {
+      articles: data.data.map(normalizeArticle),
+      pagination: data.meta?.pagination || emptyPage.pagination,
+    };
+  } catch (error) {
+    return handleFetchError('Error fetching paginated articles:', error, emptyPage);
+  }
+}
+
+/**
+ * Obtiene los artículos más recientes con su contenido completo para los feeds
+ * @param categorySlug Limita el feed a una categoría
+ * @param limit Número máximo de artículos
+ */
+export async function fetchFeedArticles(categorySlug?: string, limit: number = FEED_ITEMS): Promise<Article[]> {
+  const filters = categorySlug ? `filters[category][slug][$eq]=${categorySlug}&` : '';
+  
+  try {
+    const data = await requestArticles(`${filters}${ARTICLE_POPULATE}&sort[0]=publishedAt:desc&pagination[page]=1&pagination[pageSize]=${limit}`);
     
-    // Transformar la respuesta de Strapi al formato que necesitamos
-    return data.data.map((article: Article) => ({
-      id: article.id,
-      title: article.title,
-      description: article.description,
-      slug: article.slug,
-      content: article.content,
-      publishedAt: new Date(article.publishedAt),
-      cover: {
-        url: article.cover?.url || '/placeholder.jpg',
-      },
-      category: article.category ? {
-        id: article.category.id,
-        name: article.category.name,
-        slug: article.category.slug,
-      } : null,
-    }));
+    return (data.data || []).map(normalizeArticle);
   } catch (error) {
-    console.error('Error fetching articles:', error);
-    return [];
+    return handleFetchError('Error fetching feed articles:', error, []);
   }
 }
 
@@ -45,44 +131,15 @@ export async function fetchArticles(): Promise<Article[]> {
  */
 export async function fetchArticleBySlug(slug: string): Promise<Article | null> {
   try {
-    const response = await fetch(
-      `${STRAPI_URL}/api/articles?filters[slug][$eq]=${slug}&populate=*`,
-      {
-        cache: 'no-store',
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Error fetching article: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await requestArticles(`filters[slug][$eq]=${slug}&${ARTICLE_POPULATE}`);
     
     if (!data.data || data.data.length === 0) {
       return null;
     }
     
-    const article = data.data[0];
-    
-    return {
-      id: article.id,
-      title: article.title,
-      description: article.description,
-      content: article.content,
-      slug: article.slug,
-      publishedAt: new Date(article.publishedAt),
-      cover: {
-        url: article.cover?.url || article.cover?.data?.attributes?.url || '/placeholder.jpg',
-      },
-      category: article.category?.data ? {
-        id: article.category.id,
-        name: article.category.name,
-        slug: article.category.slug,
-      } : null,
-    };
+    return normalizeArticle(data.data[0]);
   } catch (error) {
-    console.error('Error fetching article by slug:', error);
-    return null;
+    return handleFetchError('Error fetching article by slug:', error, null);
   }
 }
 
@@ -92,27 +149,12 @@ export async function fetchArticleBySlug(slug: string): Promise<Article | null>
 export async function fetchAllArticleSlugs(): Promise<string[]> {
   try {
     console.log('Obteniendo todos los slugs de artículos...');
-    const response = await fetch(`${STRAPI_URL}/api/articles?fields[0]=slug`, {
-      cache: 'no-store'
-    });
+    const articles = await collectPages(iterateArticles('fields[0]=slug'));
+    console.log(`Obtenidos ${articles.length} slugs de artículos`);
     
-    if (!response.ok) {
-      throw new Error(`Error fetching article slugs: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    console.log('Respuesta de API para slugs:', JSON.stringify(data, null, 2));
-    
-    if (!data.data || !Array.isArray(data.data)) {
-      console.error('Formato de datos inesperado:', data);
-      return [];
-    }
-    
-    // Extraer los slugs de la estructura de datos de Strapi
-    return data.data.map((article: Article) => article.slug);
+    return articles.map((article) => article.slug);
   } catch (error) {
-    console.error('Error fetching article slugs:', error);
-    return [];
+    return handleFetchError('Error fetching article slugs:', error, []);
   }
 }
 
@@ -126,36 +168,15 @@ export async function fetchRelatedArticles(articleId: string, categoryId?: strin
       return fetchRecentArticles(articleId);
     }
     
-    const response = await fetch(
-      `${STRAPI_URL}/api/articles?filters[id][$ne]=${articleId}&filters[category][id][$eq]=${categoryId}&populate=*&pagination[limit]=3`,
-      {
-        cache: 'no-store',
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Error fetching related articles: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await requestArticles(`filters[id][$ne]=${articleId}&filters[category][id][$eq]=${categoryId}&populate=*&pagination[limit]=3`);
     
     if (!data.data || data.data.length === 0) {
       return fetchRecentArticles(articleId);
     }
     
-    return data.data.map((article: Article) => ({
-      id: article.id,
-      title: article.title,
-      description: article.description,
-      slug: article.slug,
-      publishedAt: new Date(article.publishedAt),
-      cover: {
-        url: article.cover?.url || '/placeholder.jpg',
-      },
-    }));
+    return data.data.map(normalizeArticle);
   } catch (error) {
-    console.error('Error fetching related articles:', error);
-    return [];
+    return handleFetchError('Error fetching related articles:', error, []);
   }
 }
 
@@ -164,31 +185,11 @@ export async function fetchRelatedArticles(articleId: string, categoryId?: strin
  */
 async function fetchRecentArticles(excludeId: string): Promise<Article[]> {
   try {
-    const response = await fetch(
-      `${STRAPI_URL}/api/articles?filters[id][$ne]=${excludeId}&populate=*&sort[0]=publishedAt:desc&pagination[limit]=3`,
-      {
-        cache: 'no-store',
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Error fetching recent articles: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await requestArticles(`filters[id][$ne]=${excludeId}&populate=*&sort[0]=publishedAt:desc&pagination[limit]=3`);
     
-    return data.data.map((article: Article) => ({
-      id: article.id,
-      title: article.title,
-      description: article.description,
-      slug: article.slug,
-      publishedAt: new Date(article.publishedAt),
-      cover: {
-        url: article.cover?.url || '/placeholder.jpg',
-      },
-    }));
+    return data.data.map(normalizeArticle);
   } catch (error) {
-    console.error('Error fetching recent articles:', error);
-    return [];
+    return handleFetchError('Error fetching recent articles:', error, []);
   }
 }
+
@@ -0,0 +1,57 @@
+import { cache } from 'react';
+import { Article, Author } from '@/app/types';
+import { paginate, collectPages } from './pagination.mjs';
+import { strapi } from './strapi';
+import { dedupeAuthorSlugs, normalizeAuthor } from './normalize.mjs';
+import { handleFetchError } from './build-mode.mjs';
+
+/**
+ * Obtiene todos los autores de Strapi ordenados por nombre
+ * Los autores con el mismo nombre reciben slugs distintos (dedupeAuthorSlugs).
+ * `cache` evita repetir la petición entre los metadatos y la página de un
+ * mismo render.
+ */
+export const fetchAuthors = cache(async (): Promise<Author[]> => {
+  try {
+    const authors = await collectPages(paginate(async (page: number, pageSize: number) => {
+      return strapi.request(`/api/authors?sort[0]=name:asc&pagination[page]=${page}&pagination[pageSize]=${pageSize}`);
+    }));
+    
+    return dedupeAuthorSlugs(authors.map(normalizeAuthor));
+  } catch (error) {
+    return handleFetchError('Error fetching authors:', error, []);
+  }
+});
+
+/**
+ * Obtiene un autor por su slug
+ * El slug se deriva del nombre, así que se busca en la lista completa de autores
+ */
+export const fetchAuthorBySlug = cache(async (slug: string): Promise<Author | null> => {
+  const authors = await fetchAuthors();
+  return authors.find((author) => author.slug === slug) || null;
+});
+
+/**
+ * Sustituye el autor de un artículo por el de la lista de autores
+ * El artículo trae el autor con el slug derivado de su nombre, que puede
+ * coincidir con el de otro autor; el de la lista es el de su página.
+ */
+export async function withListedAuthor(article: Article): Promise<Article> {
+  if (!article.author) {
+    return article;
+  }
+  
+  const authors = await fetchAuthors();
+  const author = authors.find((entry) => entry.id === article.author?.id);
+  
+  return author ? { ...article, author } : article;
+}
+
+/**
+ * Obtiene todos los slugs de autores para generar rutas estáticas
+ */
+export async function fetchAllAuthorSlugs(): Promise<string[]> {
+  const authors = await fetchAuthors();
+  return authors.map((author) => author.slug);
+}
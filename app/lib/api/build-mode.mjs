@@ -0,0 +1,35 @@
+/**
+ * Modo de build estricto
+ * Por defecto la capa de datos tolera los fallos de Strapi y devuelve listas
+ * vacías para que el desarrollo local no se rompa. Con STRAPI_STRICT_BUILD=true
+ * cualquier fallo al obtener datos se propaga y aborta el build (y con él la
+ * subida a S3), en lugar de publicar páginas vacías.
+ */
+
+/**
+ * Indica si el build se ejecuta en modo estricto (STRAPI_STRICT_BUILD)
+ * @returns {boolean}
+ */
+export function isStrictBuild() {
+  const value = typeof process !== 'undefined' ? process.env.STRAPI_STRICT_BUILD : undefined;
+  return ['1', 'true', 'yes'].includes(String(value ?? '').toLowerCase());
+}
+
+/**
+ * Gestiona un error al obtener datos de Strapi
+ * En modo estricto relanza el error; si no, lo registra y devuelve el valor de respaldo.
+ * @template T
+ * @param {string} message Descripción de la operación que falló
+ * @param {unknown} error Error producido
+ * @param {T} fallback Valor que se devuelve fuera del modo estricto
+ * @returns {T}
+ */
+export function handleFetchError(message, error, fallback) {
+  console.error(message, error);
+
+  if (isStrictBuild()) {
+    throw error;
+  }
+
+  return fallback;
+}
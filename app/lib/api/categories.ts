@@ -0,0 +1,45 @@
+import { Category } from '@/app/types';
+import { paginate, collectPages } from './pagination.mjs';
+import { strapi } from './strapi';
+import { normalizeCategory } from './normalize.mjs';
+import { handleFetchError } from './build-mode.mjs';
+
+/**
+ * Obtiene una categoría por su slug
+ */
+export async function fetchCategoryBySlug(slug: string): Promise<Category | null> {
+  try {
+    const data = await strapi.request(`/api/categories?filters[slug][$eq]=${slug}`);
+    
+    if (!data.data || data.data.length === 0) {
+      return null;
+    }
+    
+    return normalizeCategory(data.data[0]);
+  } catch (error) {
+    return handleFetchError('Error fetching category by slug:', error, null);
+  }
+}
+
+/**
+ * Obtiene todas las categorías de Strapi ordenadas por nombre
+ */
+export async function fetchCategories(): Promise<Category[]> {
+  try {
+    const categories = await collectPages(paginate(async (page: number, pageSize: number) => {
+      return strapi.request(`/api/categories?sort[0]=name:asc&pagination[page]=${page}&pagination[pageSize]=${pageSize}`);
+    }));
+    
+    return categories.map(normalizeCategory);
+  } catch (error) {
+    return handleFetchError('Error fetching categories:', error, []);
+  }
+}
+
+/**
+ * Obtiene todos los slugs de categorías para generar rutas estáticas
+ */
+export async function fetchAllCategorySlugs(): Promise<string[]> {
+  const categories = await fetchCategories();
+  return categories.map((category) => category.slug);
+}
@@ -0,0 +1,68 @@
+/**
+ * Caché "last known good" de respuestas de Strapi
+ * Cuando STRAPI_LAST_GOOD_FALLBACK=true, cada respuesta correcta se guarda en
+ * disco (STRAPI_LAST_GOOD_DIR) indexada por su ruta. Si más adelante Strapi no
+ * responde, el cliente devuelve la última copia buena de esa misma ruta en
+ * lugar de fallar, de modo que un corte del CMS no deja el sitio vacío.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_DIR = '.cache/strapi-last-good';
+
+/**
+ * Lee la configuración de la caché desde el entorno
+ * @returns {{ enabled: boolean, dir: string }}
+ */
+export function getLastKnownGoodConfig() {
+  const env = typeof process !== 'undefined' ? process.env : {};
+  return {
+    enabled: ['1', 'true', 'yes'].includes(String(env.STRAPI_LAST_GOOD_FALLBACK ?? '').toLowerCase()),
+    dir: path.resolve(env.STRAPI_LAST_GOOD_DIR || DEFAULT_DIR),
+  };
+}
+
+/**
+ * Devuelve el fichero donde se guarda la respuesta de una ruta
+ * @param {string} dir Directorio de la caché
+ * @param {string} requestPath Ruta con query string de la petición
+ * @returns {string}
+ */
+function entryFile(dir, requestPath) {
+  const key = createHash('sha1').update(requestPath).digest('hex');
+  return path.join(dir, `${key}.json`);
+}
+
+/**
+ * Guarda la respuesta correcta de una ruta
+ * La escritura es atómica (fichero temporal + rename) para no dejar copias a medias.
+ * @param {string} dir Directorio de la caché
+ * @param {string} requestPath Ruta con query string de la petición
+ * @param {Object} data Respuesta JSON de Strapi
+ * @returns {Promise<void>}
+ */
+export async function saveLastKnownGood(dir, requestPath, data) {
+  const file = entryFile(dir, requestPath);
+  const temporary = `${file}.${process.pid}.tmp`;
+
+  await mkdir(dir, { recursive: true });
+  await writeFile(temporary, JSON.stringify({ path: requestPath, savedAt: new Date().toISOString(), data }));
+  await rename(temporary, file);
+}
+
+/**
+ * Lee la última respuesta correcta guardada para una ruta
+ * @param {string} dir Directorio de la caché
+ * @param {string} requestPath Ruta con query string de la petición
+ * @returns {Promise<{ savedAt: string, data: Object } | null>} La copia guardada, o null si no existe
+ */
+export async function loadLastKnownGood(dir, requestPath) {
+  try {
+    const entry = JSON.parse(await readFile(entryFile(dir, requestPath), 'utf8'));
+    return { savedAt: entry.savedAt, data: entry.data };
+  } catch {
+    return null;
+  }
+}
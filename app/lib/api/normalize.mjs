@@ -0,0 +1,219 @@
+/**
+ * Normalizador de respuestas de Strapi v4 y v5
+ * Strapi v4 envuelve cada entrada en `{ id, attributes }` y cada relación en
+ * `{ data }`; Strapi v5 devuelve los campos planos. Este módulo convierte
+ * cualquiera de las dos formas en los tipos de app/types, para que ni la
+ * aplicación ni los generadores de scripts/ tengan que adivinar la versión.
+ */
+
+/** @typedef {import('../../types').Article} Article */
+/** @typedef {import('../../types').Author} Author */
+/** @typedef {import('../../types').Block} Block */
+/** @typedef {import('../../types').Category} Category */
+/** @typedef {import('../../types').Media} Media */
+
+// Imagen que se usa cuando un artículo no tiene portada
+export const PLACEHOLDER_IMAGE = '/placeholder.jpg';
+
+/**
+ * Devuelve los campos de una entrada o relación con forma v5 (plana)
+ * - v4 relación: `{ data: { id, attributes } }` o `{ data: null }`
+ * - v4 entrada: `{ id, attributes }`
+ * - v5: la propia entrada
+ * @param {Object | null | undefined} entity Entrada o relación de Strapi
+ * @returns {Object | null} Campos de la entrada, o null si no hay entrada
+ */
+export function unwrapEntity(entity) {
+  if (!entity) {
+    return null;
+  }
+
+  if ('data' in entity && !('id' in entity)) {
+    return Array.isArray(entity.data) ? entity.data.map(unwrapEntity) : unwrapEntity(entity.data);
+  }
+
+  if (entity.attributes) {
+    return { id: entity.id, ...entity.attributes };
+  }
+
+  return entity;
+}
+
+/**
+ * Devuelve una lista de entradas planas a partir de una relación múltiple
+ * @param {Object | Array | null | undefined} relation Relación de Strapi
+ * @returns {Array<Object>}
+ */
+function unwrapList(relation) {
+  const unwrapped = Array.isArray(relation) ? relation.map(unwrapEntity) : unwrapEntity(relation);
+  const list = Array.isArray(unwrapped) ? unwrapped : [unwrapped];
+  return list.filter(Boolean);
+}
+
+/**
+ * Normaliza las variantes (`formats`) de una imagen
+ * @param {Object | null | undefined} formats Variantes de Strapi
+ * @returns {Object | undefined} Variantes con url, hash, dimensiones y mime
+ */
+function normalizeFormats(formats) {
+  if (!formats) {
+    return undefined;
+  }
+
+  const normalized = {};
+  for (const [name, format] of Object.entries(formats)) {
+    if (format?.url && format.width) {
+      normalized[name] = {
+        url: format.url,
+        hash: format.hash,
+        ext: format.ext,
+        width: format.width,
+        height: format.height,
+        mime: format.mime,
+      };
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Normaliza un archivo de la biblioteca de medios
+ * @param {Object | null | undefined} raw Archivo de Strapi (v4 o v5)
+ * @returns {Media | null}
+ */
+export function normalizeMedia(raw) {
+  const media = unwrapEntity(raw);
+
+  if (!media || !media.url) {
+    return null;
+  }
+
+  return {
+    id: media.id,
+    name: media.name,
+    url: media.url,
+    hash: media.hash,
+    ext: media.ext,
+    width: media.width ?? null,
+    height: media.height ?? null,
+    mime: media.mime,
+    size: media.size ?? null,
+    alternativeText: media.alternativeText ?? null,
+    caption: media.caption ?? null,
+    formats: normalizeFormats(media.formats),
+  };
+}
+
+/**
+ * Normaliza una categoría
+ * @param {Object | null | undefined} raw Categoría de Strapi (v4 o v5)
+ * @returns {Category | null}
+ */
+export function normalizeCategory(raw) {
+  const category = unwrapEntity(raw);
+
+  if (!category) {
+    return null;
+  }
+
+  return {
+    id: String(category.id),
+    name: category.name,
+    slug: category.slug,
+    description: category.description ?? null,
+  };
+}
+
+/**
+ * Convierte un texto en un slug para URLs (`Sarah Baker` → `sarah-baker`)
+ * @param {string} text Texto de origen
+ * @returns {string}
+ */
+export function slugify(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normaliza un autor
+ * Strapi no define un slug para los autores, así que se deriva del nombre
+ * salvo que el tipo de contenido tenga uno propio.
+ * @param {Object | null | undefined} raw Autor de Strapi (v4 o v5)
+ * @returns {Author | null}
+ */
+export function normalizeAuthor(raw) {
+  const author = unwrapEntity(raw);
+
+  if (!author) {
+    return null;
+  }
+
+  return {
+    id: String(author.id),
+    name: author.name,
+    slug: author.slug || slugify(author.name),
+    email: author.email ?? null,
+  };
+}
+
+/**
+ * Hace únicos los slugs de una lista de autores
+ * Dos autores con el mismo nombre tendrían el mismo slug derivado y una sola
+ * ruta; en ese caso a todos los que coinciden se les añade su id
+ * (`ana-garcia-3`), de modo que el slug no depende del orden de la lista.
+ * @param {Array<Author>} authors Autores normalizados
+ * @returns {Array<Author>}
+ */
+export function dedupeAuthorSlugs(authors) {
+  const counts = new Map();
+  for (const author of authors) {
+    counts.set(author.slug, (counts.get(author.slug) || 0) + 1);
+  }
+
+  return authors.map((author) => (counts.get(author.slug) > 1 ? { ...author, slug: `${author.slug}-${author.id}` } : author));
+}
+
+/**
+ * Normaliza un componente de la dynamic zone `blocks`
+ * @param {Object} raw Componente de Strapi
+ * @returns {Block}
+ */
+export function normalizeBlock(raw) {
+  switch (raw.__component) {
+    case 'shared.media':
+      return { ...raw, file: normalizeMedia(raw.file) };
+    case 'shared.slider':
+      return { ...raw, files: unwrapList(raw.files).map(normalizeMedia).filter(Boolean) };
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Normaliza un artículo con sus relaciones (portada, categoría, autor y bloques)
+ * @param {Object} raw Artículo de Strapi (v4 o v5)
+ * @returns {Article}
+ */
+export function normalizeArticle(raw) {
+  const article = unwrapEntity(raw) || {};
+
+  return {
+    id: String(article.id),
+    documentId: article.documentId,
+    title: article.title,
+    description: article.description,
+    slug: article.slug,
+    // Los borradores (modo preview) no tienen publishedAt: se usa la última edición
+    publishedAt: new Date(article.publishedAt || article.updatedAt || article.createdAt),
+    updatedAt: article.updatedAt ? new Date(article.updatedAt) : undefined,
+    cover: normalizeMedia(article.cover) || { url: PLACEHOLDER_IMAGE },
+    category: normalizeCategory(article.category),
+    author: normalizeAuthor(article.author),
+    blocks: Array.isArray(article.blocks) ? article.blocks.map(normalizeBlock) : [],
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Pruebas del normalizador de Strapi con los artículos de strapi-data.json
+ * El fixture tiene la forma v5 (plana); la forma v4 se obtiene envolviendo
+ * los mismos artículos en `{ id, attributes }` y sus relaciones en `{ data }`.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  dedupeAuthorSlugs,
+  normalizeArticle,
+  normalizeAuthor,
+  normalizeBlock,
+  normalizeMedia,
+  PLACEHOLDER_IMAGE,
+  slugify,
+  unwrapEntity,
+} from './normalize.mjs';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('../../../strapi-data.json', import.meta.url), 'utf8'));
+const articles = fixture.data;
+const [article] = articles;
+
+/**
+ * Envuelve una entrada plana en la forma v4 `{ id, attributes }`
+ * @param {Object} entry Entrada v5
+ * @returns {Object}
+ */
+function toV4Entry({ id, ...attributes }) {
+  return { id, attributes };
+}
+
+/**
+ * Envuelve una relación plana en la forma v4 `{ data }`
+ * @param {Object | Array | null} relation Relación v5
+ * @returns {Object}
+ */
+function toV4Relation(relation) {
+  if (Array.isArray(relation)) {
+    return { data: relation.map(toV4Entry) };
+  }
+
+  return { data: relation ? toV4Entry(relation) : null };
+}
+
+/**
+ * Convierte un artículo v5 del fixture en su equivalente v4
+ * @param {Object} entry Artículo v5
+ * @returns {Object}
+ */
+function toV4Article(entry) {
+  const blocks = entry.blocks.map((block) => {
+    if (block.__component === 'shared.media') {
+      return { ...block, file: toV4Relation(block.file ?? null) };
+    }
+
+    if (block.__component === 'shared.slider') {
+      return { ...block, files: toV4Relation(block.files ?? []) };
+    }
+
+    return block;
+  });
+
+  return toV4Entry({
+    ...entry,
+    cover: toV4Relation(entry.cover),
+    author: toV4Relation(entry.author),
+    category: toV4Relation(entry.category),
+    blocks,
+  });
+}
+
+describe('unwrapEntity', () => {
+  it('devuelve los campos de una entrada v4', () => {
+    assert.deepEqual(unwrapEntity({ id: 1, attributes: { name: 'tech' } }), { id: 1, name: 'tech' });
+  });
+
+  it('desenvuelve relaciones v4 simples, múltiples y vacías', () => {
+    assert.deepEqual(unwrapEntity({ data: { id: 1, attributes: { name: 'tech' } } }), { id: 1, name: 'tech' });
+    assert.deepEqual(unwrapEntity({ data: [{ id: 1, attributes: { name: 'a' } }, { id: 2, attributes: { name: 'b' } }] }), [
+      { id: 1, name: 'a' },
+      { id: 2, name: 'b' },
+    ]);
+    assert.equal(unwrapEntity({ data: null }), null);
+  });
+
+  it('deja igual una entrada v5', () => {
+    assert.equal(unwrapEntity(article.category), article.category);
+  });
+
+  it('devuelve null sin entrada', () => {
+    assert.equal(unwrapEntity(null), null);
+    assert.equal(unwrapEntity(undefined), null);
+  });
+});
+
+describe('normalizeArticle', () => {
+  it('normaliza los artículos v5 del fixture', () => {
+    const normalized = normalizeArticle(article);
+
+    assert.equal(normalized.id, String(article.id));
+    assert.equal(normalized.documentId, article.documentId);
+    assert.equal(normalized.title, article.title);
+    assert.equal(normalized.slug, article.slug);
+    assert.deepEqual(normalized.publishedAt, new Date(article.publishedAt));
+    assert.equal(normalized.cover.url, article.cover.url);
+    assert.equal(normalized.cover.alternativeText, article.cover.alternativeText);
+    assert.deepEqual(normalized.category, {
+      id: String(article.category.id),
+      name: article.category.name,
+      slug: article.category.slug,
+      description: null,
+    });
+    assert.deepEqual(normalized.author, {
+      id: String(article.author.id),
+      name: article.author.name,
+      slug: slugify(article.author.name),
+      email: article.author.email,
+    });
+    assert.equal(normalized.blocks.length, article.blocks.length);
+  });
+
+  it('da el mismo resultado con la forma v4 que con la v5', () => {
+    for (const entry of articles) {
+      assert.deepEqual(normalizeArticle(toV4Article(entry)), normalizeArticle(entry), entry.slug);
+    }
+  });
+
+  it('admite artículos sin relaciones', () => {
+    const fields = { ...article };
+    for (const relation of ['cover', 'author', 'category', 'blocks']) {
+      delete fields[relation];
+    }
+    const normalized = normalizeArticle(fields);
+
+    assert.deepEqual(normalized.cover, { url: PLACEHOLDER_IMAGE });
+    assert.equal(normalized.category, null);
+    assert.equal(normalized.author, null);
+    assert.deepEqual(normalized.blocks, []);
+  });
+
+  it('admite relaciones v4 vacías', () => {
+    const normalized = normalizeArticle(toV4Entry({ ...article, cover: { data: null }, author: { data: null }, category: { data: null } }));
+
+    assert.deepEqual(normalized.cover, { url: PLACEHOLDER_IMAGE });
+    assert.equal(normalized.category, null);
+    assert.equal(normalized.author, null);
+  });
+
+  it('usa la última edición como fecha de los borradores', () => {
+    const normalized = normalizeArticle({ ...article, publishedAt: null });
+
+    assert.deepEqual(normalized.publishedAt, new Date(article.updatedAt));
+  });
+});
+
+describe('normalizeMedia', () => {
+  it('conserva solo las variantes con URL y anchura', () => {
+    const media = normalizeMedia(article.cover);
+
+    assert.deepEqual(Object.keys(media.formats).sort(), Object.keys(article.cover.formats).sort());
+    assert.deepEqual(normalizeMedia({ url: '/a.jpg', formats: { small: { url: '/small_a.jpg' } } }).formats, {});
+  });
+
+  it('devuelve null sin archivo o sin URL', () => {
+    assert.equal(normalizeMedia(null), null);
+    assert.equal(normalizeMedia({ data: null }), null);
+    assert.equal(normalizeMedia({ id: 1 }), null);
+  });
+});
+
+describe('normalizeBlock', () => {
+  const blocksOf = (component) => articles.flatMap((entry) => entry.blocks).filter((block) => block.__component === component);
+
+  it('el fixture incluye todos los tipos de bloque', () => {
+    for (const component of ['shared.rich-text', 'shared.quote', 'shared.media', 'shared.slider']) {
+      assert.ok(blocksOf(component).length > 0, component);
+    }
+  });
+
+  it('deja igual los bloques de texto enriquecido', () => {
+    for (const block of blocksOf('shared.rich-text')) {
+      assert.deepEqual(normalizeBlock(block), block);
+      assert.equal(typeof block.body, 'string');
+    }
+  });
+
+  it('deja igual las citas', () => {
+    for (const block of blocksOf('shared.quote')) {
+      assert.deepEqual(normalizeBlock(block), block);
+    }
+  });
+
+  it('normaliza el archivo de los bloques media', () => {
+    // Con populate=* el fixture no trae el archivo del bloque
+    for (const block of blocksOf('shared.media')) {
+      assert.equal(normalizeBlock(block).file, null);
+      assert.deepEqual(normalizeBlock({ ...block, file: toV4Relation(article.cover) }).file, normalizeMedia(article.cover));
+    }
+  });
+
+  it('normaliza los archivos de los carruseles y descarta los vacíos', () => {
+    for (const block of blocksOf('shared.slider')) {
+      assert.deepEqual(normalizeBlock(block).files, []);
+      assert.deepEqual(normalizeBlock({ ...block, files: [article.cover, { id: 99 }] }).files, [normalizeMedia(article.cover)]);
+      assert.deepEqual(normalizeBlock({ ...block, files: toV4Relation([article.cover]) }).files, [normalizeMedia(article.cover)]);
+    }
+  });
+});
+
+describe('dedupeAuthorSlugs', () => {
+  it('añade el id a los autores cuyo slug coincide', () => {
+    const authors = [
+      { id: '1', name: 'Ana García', slug: 'ana-garcia', email: null },
+      { id: '2', name: 'Luis Pérez', slug: 'luis-perez', email: null },
+      { id: '3', name: 'Ana Garcia', slug: 'ana-garcia', email: null },
+    ];
+
+    assert.deepEqual(dedupeAuthorSlugs(authors).map((author) => author.slug), ['ana-garcia-1', 'luis-perez', 'ana-garcia-3']);
+  });
+
+  it('deja igual los slugs de los autores del fixture', () => {
+    const authors = [...new Map(articles.map((entry) => [entry.author.id, normalizeAuthor(entry.author)])).values()];
+
+    assert.deepEqual(dedupeAuthorSlugs(authors), authors);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Recorrido de colecciones paginadas de Strapi
+ * Es ESM puro para que lo compartan la capa de API de Next.js y los
+ * generadores estáticos de scripts/.
+ */
+
+// Límite máximo de `pagination[pageSize]` que acepta Strapi por defecto (api.rest.maxLimit)
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Itera sobre todas las páginas de una colección siguiendo `meta.pagination.pageCount`
+ * @param {(page: number, pageSize: number) => Promise<Object>} fetchPage Función que
+ *   obtiene una página y devuelve la respuesta JSON de Strapi ({ data, meta })
+ * @param {number} pageSize Número de entradas por página
+ * @returns {AsyncGenerator<Array<Object>>} Las entradas de cada página
+ */
+export async function* paginate(fetchPage, pageSize = MAX_PAGE_SIZE) {
+  let page = 1;
+  let pageCount = 1;
+  
+  do {
+    const body = await fetchPage(page, pageSize);
+    const entries = Array.isArray(body?.data) ? body.data : [];
+    
+    if (entries.length === 0) {
+      return;
+    }
+    
+    yield entries;
+    
+    pageCount = body?.meta?.pagination?.pageCount ?? page;
+    page++;
+  } while (page <= pageCount);
+}
+
+/**
+ * Reúne en un único array todas las entradas de un iterador paginado
+ * @param {AsyncIterable<Array<Object>>} pages Iterador devuelto por paginate()
+ * @returns {Promise<Array<Object>>} Todas las entradas
+ */
+export async function collectPages(pages) {
+  const entries = [];
+  
+  for await (const pageEntries of pages) {
+    entries.push(...pageEntries);
+  }
+  
+  return entries;
+}
@@ -0,0 +1,23 @@
+import { draftMode } from 'next/headers';
+
+/**
+ * Indica si la petición actual está en modo borrador (preview de editores)
+ * Fuera de una petición (generateStaticParams, build del export estático)
+ * `draftMode()` no está disponible y se considera desactivado, así que el
+ * export a S3 solo incluye contenido publicado.
+ */
+export async function isPreviewEnabled(): Promise<boolean> {
+  try {
+    return (await draftMode()).isEnabled;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verifica el secreto de las rutas de preview (STRAPI_PREVIEW_SECRET)
+ */
+export function isValidPreviewSecret(secret: string | null): boolean {
+  const expectedSecret = process.env.STRAPI_PREVIEW_SECRET;
+  return Boolean(expectedSecret) && secret === expectedSecret;
+}
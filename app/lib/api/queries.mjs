@@ -0,0 +1,17 @@
+/**
+ * Fragmentos de consulta de Strapi compartidos
+ * Los usan la capa de API de Next.js y los scripts (generadores y exportación
+ * de snapshots), para que todos pidan exactamente los mismos datos.
+ */
+
+// `populate=*` solo llega a un nivel, así que los componentes de `blocks`
+// (media y slider) necesitan un populate explícito por componente
+export const ARTICLE_POPULATE = [
+  'populate[cover]=true',
+  'populate[category]=true',
+  'populate[author]=true',
+  'populate[blocks][on][shared.rich-text]=true',
+  'populate[blocks][on][shared.quote]=true',
+  'populate[blocks][on][shared.media][populate]=file',
+  'populate[blocks][on][shared.slider][populate]=files',
+].join('&');
@@ -0,0 +1,272 @@
+/**
+ * Snapshots de contenido de Strapi
+ * Un snapshot es un volcado versionado de las colecciones de Strapi en disco
+ * (lo genera `npm run snapshot:export`). Con STRAPI_SNAPSHOT apuntando a un
+ * snapshot, la aplicación y los generadores leen de él en lugar de la API, así
+ * que el build es reproducible y puede ejecutarse en CI sin CMS.
+ *
+ * Estructura de un snapshot:
+ *   snapshots/
+ *     LATEST                      nombre de la versión más reciente
+ *     2025-03-01T10-00-00-000Z/
+ *       manifest.json             versión de formato, origen y recuentos
+ *       articles.json             respuestas crudas de Strapi (`data`)
+ *       categories.json
+ *       authors.json
+ *       media.json                metadatos de los archivos usados por los artículos
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createStrapiClient, StrapiHttpError } from './strapi-client.mjs';
+import { unwrapEntity } from './normalize.mjs';
+
+// Versión del formato en disco; se incrementa si cambia la estructura
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+// Colecciones de Strapi que se guardan en un snapshot (ruta de API → fichero)
+export const SNAPSHOT_COLLECTIONS = {
+  articles: 'articles.json',
+  categories: 'categories.json',
+  authors: 'authors.json',
+};
+
+export const SNAPSHOT_MEDIA_FILE = 'media.json';
+export const SNAPSHOT_MANIFEST_FILE = 'manifest.json';
+export const SNAPSHOT_LATEST_FILE = 'LATEST';
+
+/**
+ * Resuelve el directorio de un snapshot
+ * Acepta tanto el directorio de una versión como la carpeta raíz de snapshots,
+ * en cuyo caso se usa la versión indicada en LATEST.
+ * @param {string} dir Ruta del snapshot o de la carpeta de snapshots
+ * @returns {string} Ruta absoluta de la versión
+ */
+export function resolveSnapshotDir(dir) {
+  const absolute = path.resolve(dir);
+  const latestFile = path.join(absolute, SNAPSHOT_LATEST_FILE);
+
+  if (fs.existsSync(latestFile)) {
+    return path.join(absolute, fs.readFileSync(latestFile, 'utf8').trim());
+  }
+
+  return absolute;
+}
+
+/**
+ * Lee un snapshot completo de disco
+ * @param {string} dir Ruta del snapshot o de la carpeta de snapshots
+ * @returns {{ dir: string, manifest: Object, collections: Record<string, Array<Object>>, media: Array<Object> }}
+ */
+export function readSnapshot(dir) {
+  const snapshotDir = resolveSnapshotDir(dir);
+  const readJson = (file) => JSON.parse(fs.readFileSync(path.join(snapshotDir, file), 'utf8'));
+
+  const manifest = readJson(SNAPSHOT_MANIFEST_FILE);
+  if (manifest.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(
+      `El snapshot ${snapshotDir} usa el formato ${manifest.formatVersion}, se esperaba ${SNAPSHOT_FORMAT_VERSION}`
+    );
+  }
+
+  const collections = {};
+  for (const [name, file] of Object.entries(SNAPSHOT_COLLECTIONS)) {
+    collections[name] = readJson(file);
+  }
+
+  return {
+    dir: snapshotDir,
+    manifest,
+    collections,
+    media: readJson(SNAPSHOT_MEDIA_FILE),
+  };
+}
+
+/**
+ * Escribe un snapshot nuevo y lo marca como el más reciente
+ * @param {string} rootDir Carpeta raíz de snapshots
+ * @param {Object} content Contenido exportado
+ * @param {Record<string, Array<Object>>} content.collections Entradas de cada colección
+ * @param {Array<Object>} content.media Metadatos de los archivos
+ * @param {string} content.source URL de Strapi de la que se exportó
+ * @returns {string} Ruta de la versión creada
+ */
+export function writeSnapshot(rootDir, { collections, media, source }) {
+  const createdAt = new Date().toISOString();
+  const version = createdAt.replace(/[:.]/g, '-');
+  const snapshotDir = path.join(path.resolve(rootDir), version);
+  const writeJson = (file, data) => {
+    fs.writeFileSync(path.join(snapshotDir, file), `${JSON.stringify(data, null, 2)}\n`);
+  };
+
+  fs.mkdirSync(snapshotDir, { recursive: true });
+
+  const counts = { media: media.length };
+  for (const [name, file] of Object.entries(SNAPSHOT_COLLECTIONS)) {
+    const entries = collections[name] || [];
+    writeJson(file, entries);
+    counts[name] = entries.length;
+  }
+  writeJson(SNAPSHOT_MEDIA_FILE, media);
+
+  // El manifiesto se escribe al final: un snapshot sin manifiesto está incompleto
+  writeJson(SNAPSHOT_MANIFEST_FILE, {
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    version,
+    createdAt,
+    source,
+    counts,
+  });
+  fs.writeFileSync(path.join(path.resolve(rootDir), SNAPSHOT_LATEST_FILE), `${version}\n`);
+
+  return snapshotDir;
+}
+
+/**
+ * Obtiene el valor de un campo siguiendo una ruta de relaciones (p. ej. category.slug)
+ * @param {Object} entry Entrada de Strapi (v4 o v5)
+ * @param {Array<string>} fieldPath Segmentos de la ruta
+ * @returns {unknown}
+ */
+function getField(entry, fieldPath) {
+  return fieldPath.reduce((value, field) => unwrapEntity(value)?.[field], entry);
+}
+
+/**
+ * Aplica un operador de filtro de Strapi
+ * @param {string} operator Operador (`$eq`, `$ne`...)
+ * @param {unknown} actual Valor de la entrada
+ * @param {string} expected Valor del filtro
+ * @returns {boolean}
+ */
+function matchesOperator(operator, actual, expected) {
+  switch (operator) {
+    case '$eq':
+      return actual != null && String(actual) === expected;
+    case '$ne':
+      return actual == null || String(actual) !== expected;
+    case '$null':
+      return (actual == null) === (expected === 'true');
+    default:
+      throw new Error(`Operador de filtro no soportado por los snapshots: ${operator}`);
+  }
+}
+
+/**
+ * Resuelve una consulta REST de Strapi contra las entradas de un snapshot
+ * Soporta los parámetros que usa este proyecto: `filters` ($eq, $ne, $null),
+ * `sort` y `pagination` (page/pageSize o start/limit). `populate` y `fields`
+ * se ignoran porque el snapshot ya guarda las entradas completas.
+ * @param {Array<Object>} entries Entradas de la colección
+ * @param {URLSearchParams} params Parámetros de la consulta
+ * @returns {{ data: Array<Object>, meta: Object }} Respuesta con la forma de Strapi
+ */
+export function querySnapshotEntries(entries, params) {
+  let results = entries;
+  const sorts = [];
+  const pagination = {};
+
+  for (const [key, value] of params) {
+    const filter = key.match(/^filters((?:\[[^\]]+\])+)$/);
+    if (filter) {
+      const segments = filter[1].slice(1, -1).split('][');
+      const operator = segments.pop();
+      results = results.filter((entry) => matchesOperator(operator, getField(entry, segments), value));
+      continue;
+    }
+
+    if (key === 'sort' || /^sort\[\d+\]$/.test(key)) {
+      sorts.push(...value.split(','));
+      continue;
+    }
+
+    const paginationKey = key.match(/^pagination\[(\w+)\]$/);
+    if (paginationKey) {
+      pagination[paginationKey[1]] = Number(value);
+    }
+  }
+
+  results = [...results].sort((a, b) => {
+    for (const sort of sorts) {
+      const [field, direction = 'asc'] = sort.split(':');
+      const left = getField(a, field.split('.'));
+      const right = getField(b, field.split('.'));
+      const order = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left ?? '').localeCompare(String(right ?? ''));
+      if (order !== 0) {
+        return direction.toLowerCase() === 'desc' ? -order : order;
+      }
+    }
+    return 0;
+  });
+
+  const total = results.length;
+
+  if (pagination.limit !== undefined || pagination.start !== undefined) {
+    const start = pagination.start || 0;
+    const limit = pagination.limit ?? 25;
+    return {
+      data: results.slice(start, start + limit),
+      meta: { pagination: { start, limit, total } },
+    };
+  }
+
+  const page = pagination.page || 1;
+  const pageSize = pagination.pageSize || 25;
+  return {
+    data: results.slice((page - 1) * pageSize, page * pageSize),
+    meta: { pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total } },
+  };
+}
+
+/**
+ * Crea un cliente con la misma interfaz que createStrapiClient que lee de un snapshot
+ * @param {Object} options Opciones del cliente
+ * @param {string} options.dir Ruta del snapshot o de la carpeta de snapshots
+ */
+export function createSnapshotClient({ dir }) {
+  let snapshot = null;
+
+  /**
+   * Resuelve una petición GET contra el snapshot
+   * @param {string} requestPath Ruta con query string, p. ej. `/api/articles?populate=*`
+   * @returns {Promise<Object>} Respuesta con la forma de Strapi ({ data, meta })
+   */
+  async function request(requestPath) {
+    snapshot = snapshot || readSnapshot(dir);
+
+    const url = new URL(requestPath, 'http://snapshot.local');
+    const collection = url.pathname.replace(/^\/api\//, '').replace(/\/+$/, '');
+    const entries = snapshot.collections[collection];
+
+    if (!entries) {
+      throw new StrapiHttpError(`La colección ${collection} no existe en el snapshot ${snapshot.dir}`, {
+        url: requestPath,
+        status: 404,
+      });
+    }
+
+    return querySnapshotEntries(entries, url.searchParams);
+  }
+
+  return {
+    baseUrl: `snapshot:${path.resolve(dir)}`,
+    request,
+  };
+}
+
+/**
+ * Crea el cliente de contenido según el entorno
+ * Si STRAPI_SNAPSHOT está definida se lee del snapshot; si no, de la API de Strapi.
+ * @param {Object} [options] Opciones de createStrapiClient
+ */
+export function createContentClient(options = {}) {
+  const snapshotDir = typeof process !== 'undefined' ? process.env.STRAPI_SNAPSHOT : undefined;
+
+  if (snapshotDir) {
+    return createSnapshotClient({ dir: snapshotDir });
+  }
+
+  return createStrapiClient(options);
+}
@@ -0,0 +1,227 @@
+/**
+ * Cliente HTTP único para la API de Strapi
+ * Lo comparten la capa de API de Next.js (app/lib/api) y los scripts de
+ * generación, por eso es ESM puro y no depende de alias de la aplicación.
+ *
+ * - Autenticación con token Bearer (STRAPI_API_TOKEN)
+ * - Timeout configurable por petición (STRAPI_TIMEOUT_MS)
+ * - Reintentos con backoff exponencial ante errores 5xx o de red (STRAPI_RETRIES)
+ * - Errores tipados para distinguir fallos HTTP, de red y de timeout
+ * - Respaldo opcional con la última respuesta buena (STRAPI_LAST_GOOD_FALLBACK)
+ */
+
+import { getLastKnownGoodConfig, loadLastKnownGood, saveLastKnownGood } from './last-known-good.mjs';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+/**
+ * Error base de cualquier fallo al hablar con Strapi
+ */
+export class StrapiError extends Error {
+  /**
+   * @param {string} message Mensaje del error
+   * @param {Object} details Detalles del error
+   * @param {string} details.url URL solicitada
+   * @param {unknown} [details.cause] Error original
+   */
+  constructor(message, { url, cause } = {}) {
+    super(message);
+    this.name = 'StrapiError';
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Strapi respondió con un código de estado distinto de 2xx
+ */
+export class StrapiHttpError extends StrapiError {
+  /**
+   * @param {string} message Mensaje del error
+   * @param {Object} details Detalles del error
+   * @param {string} details.url URL solicitada
+   * @param {number} details.status Código de estado HTTP
+   * @param {unknown} [details.body] Cuerpo de la respuesta, si se pudo leer
+   */
+  constructor(message, { url, status, body }) {
+    super(message, { url });
+    this.name = 'StrapiHttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * No se pudo completar la petición (DNS, conexión rechazada, respuesta no JSON...)
+ */
+export class StrapiNetworkError extends StrapiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'StrapiNetworkError';
+  }
+}
+
+/**
+ * La petición superó el tiempo máximo configurado
+ */
+export class StrapiTimeoutError extends StrapiNetworkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'StrapiTimeoutError';
+  }
+}
+
+/**
+ * Indica si merece la pena reintentar una petición que falló con este error
+ * @param {unknown} error Error producido
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error instanceof StrapiHttpError) {
+    return error.status >= 500;
+  }
+
+  return error instanceof StrapiNetworkError;
+}
+
+/**
+ * Lee un entero de una variable de entorno con valor por defecto
+ * @param {string | undefined} value Valor de la variable
+ * @param {number} fallback Valor por defecto
+ * @returns {number}
+ */
+function readInteger(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Crea un cliente de Strapi
+ * @param {Object} [options] Opciones del cliente; por defecto se leen del entorno
+ * @param {string} [options.baseUrl] URL base de Strapi (STRAPI_URL)
+ * @param {string} [options.token] Token de API (STRAPI_API_TOKEN)
+ * @param {number} [options.timeout] Timeout por intento en ms (STRAPI_TIMEOUT_MS)
+ * @param {number} [options.retries] Reintentos tras el primer intento (STRAPI_RETRIES)
+ * @param {number} [options.retryDelay] Espera base del backoff en ms (STRAPI_RETRY_DELAY_MS)
+ * @param {Function} [options.fetch] Implementación de fetch (por defecto la global)
+ * @param {Object} [options.fetchOptions] Opciones extra para cada fetch (p. ej. `cache` en Next.js)
+ * @param {(message: string) => void} [options.log] Función para registrar los reintentos
+ * @param {{ enabled: boolean, dir: string }} [options.lastKnownGood] Caché de respaldo (STRAPI_LAST_GOOD_*)
+ */
+export function createStrapiClient(options = {}) {
+  const env = typeof process !== 'undefined' ? process.env : {};
+  const baseUrl = (options.baseUrl || env.STRAPI_URL || 'http://localhost:1337').replace(/\/+$/, '');
+  const token = options.token ?? env.STRAPI_API_TOKEN ?? '';
+  const timeout = options.timeout ?? readInteger(env.STRAPI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS);
+  const retries = options.retries ?? readInteger(env.STRAPI_RETRIES, DEFAULT_RETRIES);
+  const retryDelay = options.retryDelay ?? readInteger(env.STRAPI_RETRY_DELAY_MS, DEFAULT_RETRY_DELAY_MS);
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const log = options.log || ((message) => console.warn(message));
+  const lastKnownGood = options.lastKnownGood || getLastKnownGoodConfig();
+
+  /**
+   * Hace un único intento de petición con timeout
+   * @param {string} url URL completa
+   * @param {Object} init Opciones de fetch
+   */
+  async function attempt(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    try {
+      response = await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new StrapiTimeoutError(`Timeout de ${timeout}ms al consultar ${url}`, { url, cause: error });
+      }
+      throw new StrapiNetworkError(`Error de red al consultar ${url}: ${error.message}`, { url, cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => undefined);
+      throw new StrapiHttpError(`Strapi respondió ${response.status} para ${url}`, {
+        url,
+        status: response.status,
+        body,
+      });
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new StrapiNetworkError(`Respuesta no válida de ${url}: ${error.message}`, { url, cause: error });
+    }
+  }
+
+  /**
+   * Hace una petición GET a Strapi y devuelve el JSON de la respuesta
+   * Si la caché de respaldo está activa, guarda cada respuesta correcta y, cuando
+   * se agotan los reintentos, devuelve la última copia buena de la misma ruta.
+   * @param {string} path Ruta con query string, p. ej. `/api/articles?populate=*`
+   * @param {Object} [init] Opciones extra de fetch para esta petición
+   * @returns {Promise<Object>} Respuesta JSON de Strapi ({ data, meta })
+   */
+  async function request(path, init = {}) {
+    if (!lastKnownGood.enabled) {
+      return requestWithRetries(path, init);
+    }
+
+    try {
+      const data = await requestWithRetries(path, init);
+      await saveLastKnownGood(lastKnownGood.dir, path, data).catch((error) => {
+        log(`⚠️ No se pudo guardar la copia de respaldo de ${path}: ${error.message}`);
+      });
+      return data;
+    } catch (error) {
+      const entry = await loadLastKnownGood(lastKnownGood.dir, path);
+      if (!entry) {
+        throw error;
+      }
+
+      log(`⚠️ ${error.message}. Usando la última copia buena de ${path} (${entry.savedAt})`);
+      return entry.data;
+    }
+  }
+
+  /**
+   * Hace una petición GET con reintentos ante errores transitorios
+   * @param {string} path Ruta con query string
+   * @param {Object} init Opciones extra de fetch para esta petición
+   * @returns {Promise<Object>} Respuesta JSON de Strapi
+   */
+  async function requestWithRetries(path, init) {
+    const url = `${baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
+    const headers = {
+      Accept: 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.fetchOptions?.headers,
+      ...init.headers,
+    };
+
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt(url, { ...options.fetchOptions, ...init, headers });
+      } catch (error) {
+        if (retry >= retries || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = retryDelay * 2 ** retry;
+        log(`⚠️ ${error.message}. Reintento ${retry + 1}/${retries} en ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+    request,
+  };
+}
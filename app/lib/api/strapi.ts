@@ -0,0 +1,32 @@
+import { createContentClient } from './snapshot.mjs';
+import { createStrapiClient } from './strapi-client.mjs';
+
+export { StrapiError, StrapiHttpError, StrapiNetworkError, StrapiTimeoutError } from './strapi-client.mjs';
+
+/**
+ * Cliente de Strapi que usa la aplicación Next.js
+ * Desactiva la caché de fetch para que cada build lea datos frescos del CMS.
+ * Con STRAPI_SNAPSHOT lee de un snapshot local en lugar de la API.
+ */
+export const strapi = createContentClient({
+  fetchOptions: {
+    cache: 'no-store',
+  },
+});
+
+/**
+ * Cliente para el modo borrador (preview de editores)
+ * Siempre consulta la API en vivo, nunca un snapshot, y no usa la caché de
+ * respaldo para que los borradores no acaben en la copia de contenido publicado.
+ * Usa STRAPI_PREVIEW_TOKEN si el token de la web no puede leer borradores.
+ */
+export const strapiPreview = createStrapiClient({
+  token: process.env.STRAPI_PREVIEW_TOKEN || undefined,
+  fetchOptions: {
+    cache: 'no-store',
+  },
+  lastKnownGood: {
+    enabled: false,
+    dir: '',
+  },
+});
@@ -1,6 +1,7 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import { uploadStaticPageToS3 } from '@/app/lib/aws/s3';
 import { verifyWebhookSignature } from '@/app/lib/utils/security';
+import { normalizeAuthor } from './normalize.mjs';
 
 export default async function handler(req: NextApiRequest, res: NextApiResponse) {
   // Solo aceptar POST desde Strapi
@@ -36,6 +37,11 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
       if (entry.category) {
         pagesToRegenerate.push(`/category/${entry.category.slug}`);
       }
+
+      // Y la página del autor
+      if (entry.author) {
+        pagesToRegenerate.push(`/author/${normalizeAuthor(entry.author).slug}`);
+      }
     }
 
     // Regenerar todas las páginas necesarias
@@ -0,0 +1,101 @@
+/**
+ * Política de Cache-Control de los archivos que se suben a S3
+ * Cada archivo recibe el valor de la primera regla que coincide, y el log de
+ * la subida muestra qué regla lo decidió:
+ *
+ * 1. Las reglas de `cacheControl` del archivo de configuración, en orden
+ *    (`{ "pattern": "uploads/**", "value": "public, max-age=604800" }`).
+ * 2. `seo`: sitemaps, robots.txt y feeds, que cambian con cada publicación.
+ * 3. `page`: páginas HTML y sus datos RSC (`index.txt`), que cambian con el
+ *    contenido sin cambiar de nombre.
+ * 4. `hashed`: archivos de `_next/static/` con un hash del contenido en el
+ *    nombre (bundles, CSS, fuentes); un cambio produce otro nombre, así que se
+ *    cachean un año como inmutables. Fuera de `_next/static/` un segmento
+ *    hexadecimal puede ser una fecha o un nombre de Strapi (`informe-20240101.pdf`),
+ *    así que esos archivos solo son inmutables con una regla de la configuración.
+ * 5. `image` e `asset`: el resto de imágenes y recursos. No llevan hash, así
+ *    que se cachean poco para que un cambio llegue a los lectores.
+ */
+
+import { globToRegExp } from './upload-filter.mjs';
+
+// Un segmento de al menos 8 caracteres hexadecimales (con algún dígito) en el
+// nombre: `page-6a9d3f1b2c4e5a7d.js`, `3f2a9c1b.css`, `a34f9d1faa5f3315-s.p.woff2`
+const HASHED_FILE_NAME = /(?:^|[._-])(?=[a-f]*\d)[0-9a-f]{8,}[._-]/i;
+
+/**
+ * Indica si un archivo es un recurso de Next.js con un hash de su contenido
+ * en el nombre
+ * @param {string} relativePath Ruta relativa al directorio de salida
+ * @returns {boolean}
+ */
+export function isHashedFileName(relativePath) {
+  const normalized = relativePath.replace(/\\/g, '/');
+  return normalized.startsWith('_next/static/') && HASHED_FILE_NAME.test(normalized.split('/').pop());
+}
+
+/**
+ * Indica si un archivo es un sitemap, el robots.txt o un feed RSS o Atom
+ * @param {string} relativePath Ruta relativa al directorio de salida
+ * @returns {boolean}
+ */
+function isSeoFile(relativePath) {
+  return relativePath === 'robots.txt'
+    || /^sitemap(-[\w-]+)?\.xml$/.test(relativePath)
+    || /^(category\/[^/]+\/)?(feed|atom)\.xml$/.test(relativePath);
+}
+
+// Reglas por defecto, en orden de prioridad
+export const DEFAULT_CACHE_RULES = [
+  {
+    name: 'seo',
+    value: 'public, max-age=300',
+    matches: (relativePath) => isSeoFile(relativePath),
+  },
+  {
+    name: 'page',
+    value: 'public, max-age=300',
+    matches: (relativePath, contentType) => contentType === 'text/html' || /(^|\/)index\.txt$/.test(relativePath),
+  },
+  {
+    name: 'hashed',
+    value: 'public, max-age=31536000, immutable',
+    matches: (relativePath) => isHashedFileName(relativePath),
+  },
+  {
+    name: 'image',
+    value: 'public, max-age=86400',
+    matches: (relativePath, contentType) => contentType.startsWith('image/'),
+  },
+  {
+    name: 'asset',
+    value: 'public, max-age=3600',
+    matches: () => true,
+  },
+];
+
+/**
+ * Crea la política de caché con las reglas de la configuración por delante
+ * de las reglas por defecto
+ * @param {Array<{ pattern: string, value: string }>} [overrides] Reglas por ruta de la configuración
+ * @returns {(relativePath: string, contentType: string) => { cacheControl: string, rule: string }}
+ */
+export function createCachePolicy(overrides = []) {
+  const rules = [
+    ...overrides.map(({ pattern, value }) => {
+      if (!pattern || !value) {
+        throw new Error(`Regla de caché no válida: ${JSON.stringify({ pattern, value })}`);
+      }
+
+      const regex = globToRegExp(pattern);
+      return { name: `config:${pattern}`, value, matches: (relativePath) => regex.test(relativePath) };
+    }),
+    ...DEFAULT_CACHE_RULES,
+  ];
+
+  return (relativePath, contentType) => {
+    const normalized = relativePath.replace(/\\/g, '/');
+    const rule = rules.find((candidate) => candidate.matches(normalized, contentType));
+    return { cacheControl: rule.value, rule: rule.name };
+  };
+}
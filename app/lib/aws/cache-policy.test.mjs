@@ -0,0 +1,65 @@
+/**
+ * Pruebas de la política de Cache-Control de la subida a S3
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCachePolicy, isHashedFileName } from './cache-policy.mjs';
+
+describe('isHashedFileName', () => {
+  it('reconoce los recursos de Next.js con hash en el nombre', () => {
+    for (const relativePath of [
+      '_next/static/chunks/app/page-6a9d3f1b2c4e5a7d.js',
+      '_next/static/css/3f2a9c1b4d5e6f70.css',
+      '_next/static/media/a34f9d1faa5f3315-s.p.woff2',
+      '_next/static/media/569ce4b8f30dc480-s.woff2',
+      '_next/static/media/logo.1a2b3c4d.png',
+    ]) {
+      assert.equal(isHashedFileName(relativePath), true, relativePath);
+    }
+  });
+
+  it('no trata como hash los nombres sin él ni los archivos fuera de _next/static', () => {
+    for (const relativePath of [
+      '_next/static/css/styles.css',
+      'report-20240101.pdf',
+      'uploads/photo_1234abcd.jpg',
+      'uploads/foto_a1b2c3d4e5.jpg',
+    ]) {
+      assert.equal(isHashedFileName(relativePath), false, relativePath);
+    }
+  });
+});
+
+describe('createCachePolicy', () => {
+  const policy = createCachePolicy();
+
+  it('cachea un año las fuentes de _next/static/media', () => {
+    assert.deepEqual(policy('_next/static/media/a34f9d1faa5f3315-s.p.woff2', 'font/woff2'), {
+      cacheControl: 'public, max-age=31536000, immutable',
+      rule: 'hashed',
+    });
+  });
+
+  it('no cachea como inmutables las imágenes y documentos con cifras en el nombre', () => {
+    assert.equal(policy('uploads/photo_1234abcd.jpg', 'image/jpeg').rule, 'image');
+    assert.equal(policy('report-20240101.pdf', 'application/pdf').rule, 'asset');
+  });
+
+  it('aplica antes las reglas de la configuración', () => {
+    const withUploads = createCachePolicy([
+      { pattern: 'uploads/**', value: 'public, max-age=31536000, immutable' },
+    ]);
+
+    assert.deepEqual(withUploads('uploads/photo_1234abcd.jpg', 'image/jpeg'), {
+      cacheControl: 'public, max-age=31536000, immutable',
+      rule: 'config:uploads/**',
+    });
+  });
+
+  it('trata las páginas y los feeds como contenido que cambia', () => {
+    assert.equal(policy('news/hola/index.html', 'text/html').rule, 'page');
+    assert.equal(policy('news/hola/index.txt', 'text/plain').rule, 'page');
+    assert.equal(policy('sitemap.xml', 'application/xml').rule, 'seo');
+  });
+});
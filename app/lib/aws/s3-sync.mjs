@@ -0,0 +1,474 @@
+/**
+ * Sincronización incremental del export estático con S3
+ * Solo se suben los archivos nuevos o cuyo contenido ha cambiado. Cada archivo
+ * se identifica por el MD5 de su contenido, que se compara con lo publicado:
+ *
+ * - El manifiesto de despliegue (`.deploy-manifest.json` bajo el prefijo)
+ *   guarda el hash, el ETag, el Content-Type y el Cache-Control con que se
+ *   subió cada clave. Si el ETag del bucket coincide con el del manifiesto, el
+ *   objeto no se ha tocado desde entonces y basta comparar el hash y las
+ *   cabeceras. Así funciona también con subidas multiparte o cifrado KMS, cuyo
+ *   ETag no es el MD5 del archivo.
+ * - Sin manifiesto (primer despliegue, o un objeto modificado a mano), el ETag
+ *   de una subida simple es el MD5 del contenido y se compara directamente;
+ *   si no se puede comparar, el archivo se vuelve a subir.
+ *
+ * Con `prune` también se borran del bucket las claves del prefijo que ya no
+ * están en el export (artículos eliminados o despublicados en Strapi). Un
+ * umbral de seguridad detiene el despliegue antes de tocar nada si se fuese a
+ * borrar demasiado, por ejemplo porque el export salió incompleto.
+ *
+ * Con `dryRun` solo se lee el bucket: se calcula el plan (archivos a subir,
+ * modificar y borrar, con sus cabeceras y tamaños) y se muestra sin aplicarlo.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { DeleteObjectsCommand, GetObjectCommand, ListObjectsV2Command, PutObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+
+// Nombre del manifiesto de despliegue dentro del prefijo
+export const MANIFEST_FILE = '.deploy-manifest.json';
+
+// Proporción máxima de objetos del prefijo que puede borrar un despliegue
+export const DEFAULT_MAX_DELETE_RATIO = 0.2;
+
+/**
+ * Indica si una proporción máxima de borrados es válida (mayor que 0 y hasta 1)
+ * @param {number} ratio Proporción de objetos del prefijo
+ * @returns {boolean}
+ */
+export function isValidDeleteRatio(ratio) {
+  return Number.isFinite(ratio) && ratio > 0 && ratio <= 1;
+}
+
+// Claves por petición de DeleteObjects (límite de S3)
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Archivo del export que se publica en S3
+ * @typedef {Object} SyncFile
+ * @property {string} filePath Ruta local
+ * @property {string} relativePath Ruta relativa al directorio de salida
+ * @property {string} contentType Content-Type
+ * @property {string} cacheControl Cache-Control
+ * @property {string} [cacheRule] Regla de la política de caché que decidió el Cache-Control
+ * @property {string} [contentDisposition] Content-Disposition
+ */
+
+/**
+ * Clave de S3 de un archivo del export
+ * @param {string} prefix Prefijo del sitio en el bucket (AWS_S3_PREFIX)
+ * @param {string} relativePath Ruta relativa al directorio de salida
+ * @returns {string}
+ */
+export function toS3Key(prefix, relativePath) {
+  return path.join(prefix, relativePath).replace(/\\/g, '/');
+}
+
+/**
+ * Calcula el MD5 del contenido de un archivo
+ * @param {string} filePath Ruta local del archivo
+ * @returns {Promise<string>} Hash en hexadecimal
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Lista todos los archivos de un directorio con su ruta relativa
+ * @param {string} directory Directorio de salida
+ * @param {string} [baseDir] Directorio respecto al que se calculan las rutas
+ * @returns {string[]} Rutas relativas
+ */
+export function listOutputFiles(directory, baseDir = directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listOutputFiles(entryPath, baseDir) : [path.relative(baseDir, entryPath)];
+  });
+}
+
+/**
+ * Quita las comillas con que S3 devuelve los ETag
+ * @param {string | undefined} etag ETag
+ * @returns {string | undefined}
+ */
+function normalizeEtag(etag) {
+  return etag ? etag.replace(/"/g, '') : undefined;
+}
+
+/**
+ * Lista los objetos publicados bajo un prefijo
+ * @param {import('@aws-sdk/client-s3').S3Client} client Cliente de S3
+ * @param {Object} options Opciones
+ * @param {string} options.bucket Bucket
+ * @param {string} options.prefix Prefijo del sitio
+ * @returns {Promise<Map<string, { etag?: string, size: number }>>} Objetos por clave
+ */
+export async function listRemoteObjects(client, { bucket, prefix }) {
+  const objects = new Map();
+  let continuationToken;
+
+  do {
+    const response = await client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix ? `${prefix.replace(/\/+$/, '')}/` : undefined,
+      ContinuationToken: continuationToken,
+    }));
+
+    for (const object of response.Contents || []) {
+      objects.set(object.Key, { etag: normalizeEtag(object.ETag), size: object.Size || 0 });
+    }
+
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return objects;
+}
+
+/**
+ * Lee el manifiesto del último despliegue
+ * @param {import('@aws-sdk/client-s3').S3Client} client Cliente de S3
+ * @param {Object} options Opciones
+ * @param {string} options.bucket Bucket
+ * @param {string} options.prefix Prefijo del sitio
+ * @returns {Promise<Record<string, Object>>} Entradas por clave (vacío si no hay manifiesto)
+ */
+export async function readManifest(client, { bucket, prefix }) {
+  try {
+    const response = await client.send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: toS3Key(prefix, MANIFEST_FILE),
+    }));
+    const manifest = JSON.parse(await response.Body.transformToString());
+    return manifest.files || {};
+  } catch (error) {
+    if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Guarda el manifiesto del despliegue
+ * @param {import('@aws-sdk/client-s3').S3Client} client Cliente de S3
+ * @param {Object} options Opciones
+ * @param {string} options.bucket Bucket
+ * @param {string} options.prefix Prefijo del sitio
+ * @param {Record<string, Object>} options.files Entradas por clave
+ */
+export async function writeManifest(client, { bucket, prefix, files }) {
+  const sortedFiles = Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)));
+
+  await client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: toS3Key(prefix, MANIFEST_FILE),
+    Body: JSON.stringify({ generatedAt: new Date().toISOString(), files: sortedFiles }, null, 2),
+    ContentType: 'application/json',
+    CacheControl: 'no-store',
+  }));
+}
+
+/**
+ * Indica si un archivo local coincide con el objeto publicado
+ * @param {Object} file Archivo local con su hash y cabeceras
+ * @param {{ etag?: string } | undefined} remote Objeto del bucket
+ * @param {Object | undefined} entry Entrada del manifiesto
+ * @returns {boolean}
+ */
+function isUnchanged(file, remote, entry) {
+  if (entry && entry.etag && entry.etag === remote.etag) {
+    return entry.hash === file.hash
+      && entry.contentType === file.contentType
+      && entry.cacheControl === file.cacheControl;
+  }
+
+  // Sin manifiesto válido, solo el ETag de una subida simple es comparable
+  return Boolean(remote.etag) && !remote.etag.includes('-') && remote.etag === file.hash;
+}
+
+/**
+ * Clasifica los archivos locales en nuevos, modificados y sin cambios, y los
+ * objetos del bucket que sobran
+ * @param {Array<Object>} files Archivos locales con `key` y `hash`
+ * @param {Map<string, { etag?: string, size: number }>} remoteObjects Objetos del bucket
+ * @param {Record<string, Object>} manifest Entradas del manifiesto
+ * @param {Set<string>} [keep] Claves de todo el export; sin ellas no se borra nada
+ * @returns {{ add: Array<Object>, update: Array<Object>, skip: Array<Object>, delete: Array<Object> }}
+ */
+export function planSync(files, remoteObjects, manifest, keep) {
+  const plan = { add: [], update: [], skip: [], delete: [] };
+
+  for (const file of files) {
+    const remote = remoteObjects.get(file.key);
+
+    if (!remote) {
+      plan.add.push(file);
+    } else if (isUnchanged(file, remote, manifest[file.key])) {
+      plan.skip.push(file);
+    } else {
+      plan.update.push(file);
+    }
+  }
+
+  if (keep) {
+    for (const [key, remote] of remoteObjects) {
+      if (!keep.has(key) && !key.endsWith(`/${MANIFEST_FILE}`) && key !== MANIFEST_FILE) {
+        plan.delete.push({
+          key,
+          size: remote.size,
+          contentType: manifest[key]?.contentType,
+          cacheControl: manifest[key]?.cacheControl,
+        });
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Convierte el plan en un objeto serializable y estable
+ * Las entradas van ordenadas por clave y sin fechas, para que dos planes
+ * guardados con --json se puedan comparar con un diff.
+ * @param {ReturnType<typeof planSync>} plan Plan de la sincronización
+ * @param {Object} context Destino y límite de borrado
+ * @param {string} context.bucket Bucket
+ * @param {string} context.prefix Prefijo del sitio
+ * @param {number} [context.maxDeletes] Borrados permitidos (solo con prune)
+ * @returns {Object}
+ */
+export function serializePlan(plan, { bucket, prefix, maxDeletes }) {
+  const describe = ({ key, contentType, cacheControl, cacheRule, size }) => ({ key, contentType, cacheControl, cacheRule, size });
+  const byKey = (entries) => entries.map(describe).sort((a, b) => a.key.localeCompare(b.key));
+
+  return {
+    bucket,
+    prefix,
+    summary: {
+      add: plan.add.length,
+      update: plan.update.length,
+      delete: plan.delete.length,
+      unchanged: plan.skip.length,
+      ...(maxDeletes === undefined ? {} : { maxDeletes, blocked: plan.delete.length > maxDeletes }),
+    },
+    add: byKey(plan.add),
+    update: byKey(plan.update),
+    delete: byKey(plan.delete),
+  };
+}
+
+/**
+ * Tamaño legible de un archivo
+ * @param {number} bytes Tamaño en bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Genera las líneas de texto de un plan serializado
+ * @param {ReturnType<typeof serializePlan>} plan Plan serializado
+ * @returns {string[]}
+ */
+export function formatPlan(plan) {
+  const line = (symbol, entry) => {
+    const cache = entry.cacheControl ? `${entry.cacheControl}${entry.cacheRule ? ` [${entry.cacheRule}]` : ''}` : 'caché desconocida';
+    const headers = [entry.contentType || 'tipo desconocido', cache, formatSize(entry.size)];
+    return `${symbol} ${entry.key} (${headers.join(', ')})`;
+  };
+
+  return [
+    `📋 Plan para s3://${plan.bucket}/${plan.prefix}: ${plan.summary.add} nuevos, ${plan.summary.update} modificados, ${plan.summary.delete} a borrar, ${plan.summary.unchanged} sin cambios`,
+    ...plan.add.map((entry) => line('➕', entry)),
+    ...plan.update.map((entry) => line('✏️', entry)),
+    ...plan.delete.map((entry) => line('🗑️', entry)),
+  ];
+}
+
+/**
+ * Sube un archivo a S3 con sus cabeceras
+ * @param {import('@aws-sdk/client-s3').S3Client} client Cliente de S3
+ * @param {string} bucket Bucket
+ * @param {Object} file Archivo local
+ * @returns {Promise<string | undefined>} ETag del objeto subido
+ */
+async function uploadFile(client, bucket, file) {
+  const upload = new Upload({
+    client,
+    params: {
+      Bucket: bucket,
+      Key: file.key,
+      Body: fs.createReadStream(file.filePath),
+      ContentType: file.contentType,
+      CacheControl: file.cacheControl,
+      ContentDisposition: file.contentDisposition,
+    },
+  });
+
+  const result = await upload.done();
+  return normalizeEtag(result.ETag);
+}
+
+/**
+ * Borra objetos del bucket en lotes
+ * @param {import('@aws-sdk/client-s3').S3Client} client Cliente de S3
+ * @param {string} bucket Bucket
+ * @param {string[]} keys Claves a borrar
+ * @returns {Promise<string[]>} Claves borradas
+ */
+async function deleteObjects(client, bucket, keys) {
+  const deleted = [];
+
+  for (let index = 0; index < keys.length; index += DELETE_BATCH_SIZE) {
+    const batch = keys.slice(index, index + DELETE_BATCH_SIZE);
+    const response = await client.send(new DeleteObjectsCommand({
+      Bucket: bucket,
+      Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: true },
+    }));
+
+    const failed = new Set((response.Errors || []).map((error) => error.Key));
+    deleted.push(...batch.filter((key) => !failed.has(key)));
+
+    if (failed.size > 0) {
+      const [first] = response.Errors;
+      throw new Error(`No se pudieron borrar ${failed.size} objetos (${first.Key}: ${first.Message})`);
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Sincroniza los archivos del export con S3 subiendo solo los que cambian
+ * @param {Array<SyncFile>} files Archivos a publicar
+ * @param {Object} options Opciones
+ * @param {import('@aws-sdk/client-s3').S3Client} options.client Cliente de S3
+ * @param {string} options.bucket Bucket
+ * @param {string} [options.prefix] Prefijo del sitio en el bucket
+ * @param {(message: string) => void} [options.log] Función de log
+ * @param {string[]} [options.prune] Rutas relativas de todo el export (sin filtrar): se borran las claves del prefijo que no estén
+ * @param {number} [options.maxDeleteRatio] Proporción máxima de objetos del prefijo que se pueden borrar
+ * @param {boolean} [options.dryRun] Solo calcula y muestra el plan, sin tocar el bucket
+ * @returns {Promise<{ added: number, updated: number, skipped: number, uploaded: number, deleted: number, plan: Object }>} Cambios aplicados (o previstos en la simulación) y el plan serializado
+ */
+export async function syncToS3(files, options) {
+  const { client, bucket, prefix = '', log = console.log, prune, maxDeleteRatio = DEFAULT_MAX_DELETE_RATIO, dryRun = false } = options;
+
+  // Con una proporción no numérica el umbral de seguridad dejaría de aplicarse
+  if (!isValidDeleteRatio(maxDeleteRatio)) {
+    throw new Error(`Proporción máxima de borrados no válida: ${maxDeleteRatio} (debe ser mayor que 0 y como mucho 1)`);
+  }
+
+  // Se calculan de uno en uno para no abrir miles de archivos a la vez
+  const localFiles = [];
+  for (const file of files) {
+    localFiles.push({
+      ...file,
+      key: toS3Key(prefix, file.relativePath),
+      hash: await hashFile(file.filePath),
+      size: fs.statSync(file.filePath).size,
+    });
+  }
+
+  const [remoteObjects, manifest] = await Promise.all([
+    listRemoteObjects(client, { bucket, prefix }),
+    readManifest(client, { bucket, prefix }),
+  ]);
+
+  const keep = prune ? new Set(prune.map((relativePath) => toS3Key(prefix, relativePath))) : undefined;
+  const plan = planSync(localFiles, remoteObjects, manifest, keep);
+  log(`🔍 ${localFiles.length} archivos: ${plan.add.length} nuevos, ${plan.update.length} modificados, ${plan.skip.length} sin cambios`);
+
+  // Cuántos archivos decidió cada regla de la política de caché
+  const byRule = localFiles.reduce((counts, file) => {
+    return file.cacheRule ? { ...counts, [file.cacheRule]: (counts[file.cacheRule] || 0) + 1 } : counts;
+  }, {});
+  if (Object.keys(byRule).length > 0) {
+    log(`🗂️ Reglas de caché: ${Object.entries(byRule).map(([rule, count]) => `${rule} (${count})`).join(', ')}`);
+  }
+
+  const maxDeletes = prune ? Math.floor(remoteObjects.size * maxDeleteRatio) : undefined;
+  const summary = {
+    added: plan.add.length,
+    updated: plan.update.length,
+    skipped: plan.skip.length,
+    uploaded: plan.add.length + plan.update.length,
+    deleted: plan.delete.length,
+    plan: serializePlan(plan, { bucket, prefix, maxDeletes }),
+  };
+
+  if (prune) {
+    log(`🧹 ${plan.delete.length} de ${remoteObjects.size} objetos del bucket ya no están en el export`);
+  }
+
+  // Se comprueba antes de subir nada: un export incompleto no debe vaciar el sitio
+  const limitMessage = `Se borrarían ${plan.delete.length} de ${remoteObjects.size} objetos, más del ${Math.round(maxDeleteRatio * 100)}% permitido`;
+
+  if (dryRun) {
+    formatPlan(summary.plan).forEach((line) => log(line));
+    if (summary.plan.summary.blocked) {
+      log(`⚠️ ${limitMessage}: el despliegue real se cancelaría`);
+    }
+    return summary;
+  }
+
+  if (summary.plan.summary.blocked) {
+    throw new Error(limitMessage);
+  }
+
+  // Se conservan las entradas de los objetos que siguen en el bucket aunque
+  // no formen parte de esta subida (p. ej. en el modo solo noticias)
+  const nextManifest = Object.fromEntries(Object.entries(manifest).filter(([key]) => remoteObjects.has(key)));
+  const record = (file, etag) => {
+    nextManifest[file.key] = {
+      hash: file.hash,
+      etag,
+      size: file.size,
+      contentType: file.contentType,
+      cacheControl: file.cacheControl,
+    };
+  };
+
+  for (const file of plan.skip) {
+    record(file, remoteObjects.get(file.key).etag);
+  }
+
+  try {
+    for (const file of [...plan.add, ...plan.update]) {
+      try {
+        record(file, await uploadFile(client, bucket, file));
+        log(`✅ Archivo subido: ${file.key} (${file.contentType}, ${file.cacheControl}${file.cacheRule ? ` [${file.cacheRule}]` : ''})`);
+      } catch (error) {
+        log(`❌ Error al subir ${file.key}: ${error.message}`);
+        throw error;
+      }
+    }
+
+    // Se borra después de subir, cuando las páginas nuevas ya no enlazan a lo borrado
+    if (plan.delete.length > 0) {
+      const deleted = await deleteObjects(client, bucket, plan.delete.map((object) => object.key));
+      deleted.forEach((key) => {
+        delete nextManifest[key];
+        log(`🗑️ Objeto borrado: ${key}`);
+      });
+    }
+  } finally {
+    // Si la subida se interrumpe, el siguiente despliegue no repite lo ya subido
+    await writeManifest(client, { bucket, prefix, files: nextManifest });
+  }
+
+  return summary;
+}
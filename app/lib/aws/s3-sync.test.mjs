@@ -0,0 +1,31 @@
+/**
+ * Pruebas del umbral de borrados de la sincronización con S3
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidDeleteRatio, syncToS3 } from './s3-sync.mjs';
+
+describe('isValidDeleteRatio', () => {
+  it('acepta proporciones mayores que 0 y hasta 1', () => {
+    for (const ratio of [0.01, 0.2, 1]) {
+      assert.equal(isValidDeleteRatio(ratio), true, String(ratio));
+    }
+  });
+
+  it('rechaza valores no numéricos o fuera de rango', () => {
+    for (const ratio of [Number('abc'), Infinity, 0, -0.5, 1.5]) {
+      assert.equal(isValidDeleteRatio(ratio), false, String(ratio));
+    }
+  });
+});
+
+describe('syncToS3', () => {
+  it('no sincroniza con una proporción de borrados no válida', async () => {
+    // Falla antes de leer el bucket, así que no necesita cliente
+    await assert.rejects(
+      syncToS3([], { bucket: 'bucket', prune: [], maxDeleteRatio: Number('abc') }),
+      /Proporción máxima de borrados no válida/
+    );
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Filtros de los archivos del export que se suben a S3
+ * Cada filtro parte de un preset y le añade patrones glob de inclusión y de
+ * exclusión, que llegan del archivo de configuración (upload.config.json) o
+ * de la línea de comandos. Un archivo se sube si coincide con algún patrón de
+ * inclusión y con ninguno de exclusión.
+ *
+ * Los patrones se comparan con la ruta relativa a out/ (`news/slug/index.html`):
+ * `*` no cruza directorios, `**` sí, `?` es un carácter y `{a,b}` una
+ * alternativa (una `{` sin cerrar es una llave sin más). Un patrón sin `/` se
+ * aplica al nombre del archivo en cualquier directorio (`*.webp`) y uno que
+ * empieza por `/`, solo a la raíz (`/robots.txt`).
+ */
+
+import fs from 'node:fs';
+
+// Imágenes, fuentes y recursos que necesitan las páginas
+const ASSET_PATTERNS = [
+  '*.{css,js}',
+  '*.{jpg,jpeg,png,gif,svg,webp,avif,ico}',
+  '*.{woff,woff2,ttf,otf,eot}',
+];
+
+// Páginas que cambian al publicar una noticia: la portada, el archivo de
+// noticias y los listados (con sus feeds) de categorías y autores. Cada página
+// tiene su HTML y el payload (index.txt) de la navegación del cliente
+const PAGE_PATTERNS = [
+  '/index.{html,txt}',
+  'news/**',
+  'category/**',
+  'author/**',
+];
+
+// Sitemaps, robots.txt y feeds, que cambian con cada publicación
+const SEO_PATTERNS = [
+  '/robots.txt',
+  '/sitemap*.xml',
+  '/{feed,atom}.xml',
+];
+
+// Páginas de relleno de las rutas sin parámetros (ver app/lib/static-params.ts)
+const PLACEHOLDER_PATTERNS = ['**/_/**'];
+
+// Presets de subida: el sitio completo o solo lo que cambia al publicar noticias
+export const UPLOAD_PRESETS = {
+  full: {
+    include: ['**'],
+    exclude: [...PLACEHOLDER_PATTERNS],
+  },
+  news: {
+    include: [...PAGE_PATTERNS, '_next/**', 'static/**', 'uploads/**', ...ASSET_PATTERNS, ...SEO_PATTERNS],
+    exclude: ['news/_*/**', ...PLACEHOLDER_PATTERNS],
+  },
+};
+
+export const DEFAULT_UPLOAD_PRESET = 'news';
+
+/**
+ * Convierte un patrón glob en una expresión regular
+ * @param {string} pattern Patrón glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const glob = pattern.includes('/') ? pattern.replace(/^\/+/, '') : `**/${pattern}`;
+  let source = '';
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+
+    if (char === '*' && glob[index + 1] === '*') {
+      // `**/` también coincide con ningún directorio
+      const slash = glob[index + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      index += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && glob.includes('}', index)) {
+      const end = glob.indexOf('}', index);
+      const options = glob.slice(index + 1, end).split(',');
+      source += `(?:${options.map((option) => option.replace(/[.+^$(){}|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|')})`;
+      index = end;
+    } else {
+      source += char.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lee la configuración de subida de un archivo JSON
+ * @param {string} filePath Ruta del archivo
+ * @returns {{ preset?: string, include?: string[], exclude?: string[], cacheControl?: Array<{ pattern: string, value: string }> }} Configuración (vacía si no existe)
+ */
+export function readUploadConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Configuración de subida no válida en ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Crea el filtro de archivos a subir
+ * @param {Object} options Opciones
+ * @param {string} [options.preset] Preset de partida (`news` o `full`)
+ * @param {string[]} [options.include] Patrones de inclusión añadidos al preset
+ * @param {string[]} [options.exclude] Patrones de exclusión añadidos al preset
+ * @returns {(relativePath: string) => boolean}
+ */
+export function createUploadFilter({ preset = DEFAULT_UPLOAD_PRESET, include = [], exclude = [] } = {}) {
+  const base = UPLOAD_PRESETS[preset];
+
+  if (!base) {
+    throw new Error(`Preset de subida desconocido: ${preset} (disponibles: ${Object.keys(UPLOAD_PRESETS).join(', ')})`);
+  }
+
+  const includes = [...base.include, ...include].map(globToRegExp);
+  const excludes = [...base.exclude, ...exclude].map(globToRegExp);
+
+  return (relativePath) => {
+    const normalized = relativePath.replace(/\\/g, '/');
+    return includes.some((regex) => regex.test(normalized)) && !excludes.some((regex) => regex.test(normalized));
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Pruebas de los patrones glob del filtro de subida
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp } from './upload-filter.mjs';
+
+describe('globToRegExp', () => {
+  it('convierte las alternativas entre llaves', () => {
+    const regex = globToRegExp('*.{css,js}');
+
+    assert.equal(regex.test('_next/static/css/app.css'), true);
+    assert.equal(regex.test('_next/static/chunks/main.js'), true);
+    assert.equal(regex.test('index.html'), false);
+  });
+
+  it('trata una llave sin cerrar como un carácter más', () => {
+    const regex = globToRegExp('uploads/{draft*');
+
+    assert.equal(regex.test('uploads/{draft-1.jpg'), true);
+    assert.equal(regex.test('uploads/draft-1.jpg'), false);
+    assert.equal(globToRegExp('/a{2').test('a{2'), true);
+    assert.equal(globToRegExp('/a{2').test('aa'), false);
+  });
+});
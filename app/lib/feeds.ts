@@ -0,0 +1,51 @@
+import { Article } from '@/app/types';
+import { PLACEHOLDER_IMAGE } from '@/app/lib/api/normalize.mjs';
+import { getStrapiMediaUrl } from '@/app/lib/utils/media';
+import { renderAtomFeed, renderRssFeed } from '@/app/lib/utils/feed.mjs';
+import { getArticlePath, getSiteName, toAbsoluteUrl } from '@/app/lib/utils/seo.mjs';
+
+export type FeedFormat = 'rss' | 'atom';
+
+const CONTENT_TYPES: Record<FeedFormat, string> = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+};
+
+interface FeedOptions {
+  // Título propio del feed (p. ej. el nombre de la categoría)
+  title?: string;
+  description: string;
+  // Ruta de la página HTML equivalente, p. ej. `/category/deportes/`
+  path: string;
+  // Ruta del propio feed, p. ej. `/category/deportes/feed.xml`
+  feedPath: string;
+  articles: Article[];
+}
+
+/**
+ * Genera la respuesta de un feed RSS o Atom para las rutas estáticas
+ */
+export function createFeedResponse(format: FeedFormat, options: FeedOptions): Response {
+  const feed = {
+    title: options.title ? `${options.title} | ${getSiteName()}` : getSiteName(),
+    description: options.description,
+    link: toAbsoluteUrl(options.path),
+    feedUrl: toAbsoluteUrl(options.feedPath),
+    articles: options.articles,
+    articleUrl: (slug: string) => toAbsoluteUrl(getArticlePath(slug)),
+    // Los lectores de feeds no resuelven rutas relativas (p. ej. las de
+    // MEDIA_MIRROR sin MEDIA_BASE_URL)
+    resolveUrl: (url: string) => toAbsoluteUrl(getStrapiMediaUrl(url)),
+    placeholder: PLACEHOLDER_IMAGE,
+    // Autor del feed Atom, para las entradas sin autor
+    author: getSiteName(),
+  };
+  
+  const body = format === 'rss' ? renderRssFeed(feed) : renderAtomFeed(feed);
+  
+  return new Response(body, {
+    headers: {
+      'Content-Type': CONTENT_TYPES[format],
+    },
+  });
+}
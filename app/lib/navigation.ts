@@ -0,0 +1,26 @@
+import { cache } from 'react';
+import { fetchCategories } from '@/app/lib/api/categories';
+
+export interface NavigationItem {
+  label: string;
+  href: string;
+}
+
+/**
+ * Construye el menú de navegación a partir de las categorías de Strapi
+ * Se resuelve en tiempo de build, así que una categoría nueva aparece
+ * en el menú tras la siguiente regeneración del sitio.
+ * `cache` evita repetir la petición entre Header y Footer en un mismo render.
+ */
+export const getNavigation = cache(async (): Promise<NavigationItem[]> => {
+  const categories = await fetchCategories();
+  
+  return [
+    { label: 'Inicio', href: '/' },
+    { label: 'Noticias', href: '/news/' },
+    ...categories.map((category) => ({
+      label: category.name,
+      href: `/category/${category.slug}/`,
+    })),
+  ];
+});
@@ -0,0 +1,98 @@
+import type { Metadata } from 'next';
+import { Article } from '@/app/types';
+import { PLACEHOLDER_IMAGE } from '@/app/lib/api/normalize.mjs';
+import { getStrapiMediaUrl } from '@/app/lib/utils/media';
+import { buildArticleSeo, getSiteName, SITE_LOCALE } from '@/app/lib/utils/seo.mjs';
+
+// Feeds generales del sitio. Next.js no fusiona `alternates` entre el layout y
+// las páginas, así que cada página que define su canonical los repite
+export const SITE_FEEDS = {
+  'application/rss+xml': '/feed.xml',
+  'application/atom+xml': '/atom.xml',
+};
+
+/**
+ * Metadatos SEO de un artículo (Open Graph, Twitter y JSON-LD)
+ * Usa las mismas URLs de imagen que la página (MEDIA_MIRROR incluido).
+ */
+export function getArticleSeo(article: Article) {
+  return buildArticleSeo(article, {
+    resolveUrl: getStrapiMediaUrl,
+    placeholder: PLACEHOLDER_IMAGE,
+  });
+}
+
+/**
+ * Metadatos de Next.js para la página de un artículo
+ */
+export function buildArticleMetadata(article: Article): Metadata {
+  const seo = getArticleSeo(article);
+  const images = seo.image ? [seo.image] : undefined;
+  
+  return {
+    title: seo.title,
+    description: seo.description || undefined,
+    alternates: {
+      canonical: seo.url,
+      types: SITE_FEEDS,
+    },
+    openGraph: {
+      type: 'article',
+      siteName: seo.siteName,
+      locale: SITE_LOCALE,
+      title: seo.title,
+      description: seo.description || undefined,
+      url: seo.url,
+      images,
+      publishedTime: seo.publishedTime,
+      modifiedTime: seo.modifiedTime,
+      authors: seo.authorUrl ? [seo.authorUrl] : undefined,
+      section: seo.section,
+    },
+    twitter: {
+      card: seo.image ? 'summary_large_image' : 'summary',
+      title: seo.title,
+      description: seo.description || undefined,
+      images,
+    },
+  };
+}
+
+interface PageMetadataOptions {
+  title?: string;
+  description?: string;
+  // Ruta canónica de la página, con barra final (p. ej. `/news/page/2/`)
+  path: string;
+  // Feeds de la página (por defecto los generales del sitio)
+  feeds?: Record<string, string>;
+}
+
+/**
+ * Metadatos de Next.js para las páginas de listado (portada, archivo,
+ * categorías y autores)
+ */
+export function buildPageMetadata({ title, description, path, feeds = SITE_FEEDS }: PageMetadataOptions): Metadata {
+  const pageTitle = title || getSiteName();
+  
+  return {
+    ...(title ? { title } : {}),
+    ...(description ? { description } : {}),
+    alternates: {
+      canonical: path,
+      types: feeds,
+    },
+    openGraph: {
+      type: 'website',
+      siteName: getSiteName(),
+      locale: SITE_LOCALE,
+      title: pageTitle,
+      description,
+      url: path,
+    },
+    twitter: {
+      card: 'summary',
+      title: pageTitle,
+      description,
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import { handleFetchError } from '@/app/lib/api/build-mode.mjs';
+
+/**
+ * Parámetros de relleno para generateStaticParams
+ * Con `output: 'export'` Next.js aborta el build si una ruta dinámica no genera
+ * ningún parámetro ("missing generateStaticParams()"). Pasa con las rutas
+ * paginadas cuando ningún listado llega a la segunda página, o si no hay
+ * categorías o autores. En ese caso se genera una única página de relleno con
+ * el valor PLACEHOLDER_PARAM, que la ruta convierte en un 404 y que no se sube
+ * a S3 (ver app/lib/aws/upload-filter.mjs).
+ */
+export const PLACEHOLDER_PARAM = '_';
+
+/**
+ * Indica si un parámetro de ruta es el de relleno
+ */
+export function isPlaceholderParam(value: string): boolean {
+  return value === PLACEHOLDER_PARAM;
+}
+
+/**
+ * Genera los parámetros de una ruta sin devolver nunca una lista vacía
+ * En modo estricto un error al obtener los datos aborta el build; si no, se
+ * registra y se genera solo la página de relleno.
+ * @param name Descripción de las páginas para el log
+ * @param generate Genera los parámetros a partir de Strapi
+ * @param placeholder Parámetros de la página de relleno
+ */
+export async function generateParamsWithPlaceholder<T extends Record<string, string>>(
+  name: string,
+  generate: () => Promise<T[]>,
+  placeholder: T
+): Promise<T[]> {
+  let params: T[];
+
+  try {
+    params = await generate();
+  } catch (error) {
+    params = handleFetchError(`Error generando ${name}:`, error, []);
+  }
+
+  console.log(`Generando ${params.length} ${name}`);
+
+  return params.length > 0 ? params : [placeholder];
+}
@@ -0,0 +1,53 @@
+/**
+ * Texto alternativo y pies de foto de los archivos de Strapi
+ * Lo comparten los componentes de Next.js, los generadores de scripts/ y el
+ * informe de accesibilidad que se ejecuta en cada build.
+ */
+
+/**
+ * Devuelve el texto alternativo de una imagen
+ * @param {import('../../types').Media | null | undefined} media Imagen normalizada
+ * @param {string} [fallback] Texto si la imagen no tiene `alternativeText`
+ *   (por defecto vacío: la imagen se trata como decorativa)
+ * @returns {string}
+ */
+export function getAltText(media, fallback = '') {
+  return media?.alternativeText?.trim() || fallback;
+}
+
+/**
+ * Devuelve el pie de foto de una imagen, o null si no tiene
+ * @param {import('../../types').Media | null | undefined} media Imagen normalizada
+ * @returns {string | null}
+ */
+export function getCaption(media) {
+  return media?.caption?.trim() || null;
+}
+
+/**
+ * Lista las imágenes de un artículo que no tienen texto alternativo
+ * Revisa la portada y los archivos de los bloques media y slider.
+ * @param {import('../../types').Article} article Artículo normalizado
+ * @param {string} [placeholder] URL de la portada por defecto, que no se revisa
+ * @returns {Array<{ location: string, url: string }>}
+ */
+export function findImagesWithoutAlt(article, placeholder) {
+  const missing = [];
+  const check = (media, location) => {
+    if (media?.url && media.url !== placeholder && !getAltText(media)) {
+      missing.push({ location, url: media.url });
+    }
+  };
+
+  check(article.cover, 'cover');
+
+  (article.blocks || []).forEach((block, index) => {
+    if (block.__component === 'shared.media') {
+      check(block.file, `blocks[${index}] (media)`);
+    } else if (block.__component === 'shared.slider') {
+      (block.files || []).forEach((file, fileIndex) => check(file, `blocks[${index}] (slider ${fileIndex + 1})`));
+    }
+  });
+
+  return missing;
+}
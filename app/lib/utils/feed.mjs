@@ -0,0 +1,176 @@
+/**
+ * Feeds RSS 2.0 y Atom de las noticias
+ * Cada entrada lleva el contenido completo del artículo en HTML y la portada
+ * como enclosure. El identificador de cada entrada es el `documentId` de
+ * Strapi, que no cambia aunque se edite el título o el slug, así que los
+ * lectores de feeds no duplican artículos al corregirlos.
+ */
+
+import { escapeHtml, renderMarkdown } from './markdown.mjs';
+import { getAltText, getCaption } from './alt-text.mjs';
+
+// Número de artículos de cada feed
+export const FEED_ITEMS = 50;
+
+/**
+ * Fecha de la última modificación de un artículo
+ * @param {import('../../types').Article} article Artículo normalizado
+ * @returns {Date}
+ */
+function lastModified(article) {
+  return new Date(article.updatedAt || article.publishedAt);
+}
+
+/**
+ * Fecha de la modificación más reciente de los artículos del feed
+ * Atom exige <updated> aunque el feed esté vacío; entonces se usa la fecha
+ * del build.
+ * @param {Array<import('../../types').Article>} articles Artículos
+ * @returns {Date}
+ */
+function feedUpdated(articles) {
+  if (articles.length === 0) {
+    return new Date();
+  }
+
+  return new Date(Math.max(...articles.map((article) => lastModified(article).getTime())));
+}
+
+/**
+ * Identificador estable de una entrada del feed
+ * @param {import('../../types').Article} article Artículo normalizado
+ * @returns {string}
+ */
+export function getFeedEntryId(article) {
+  return `urn:strapi:article:${article.documentId || article.id}`;
+}
+
+/**
+ * Genera el HTML de una imagen para el contenido del feed
+ * @param {import('../../types').Media} media Archivo normalizado
+ * @param {(url: string) => string} resolveUrl Convierte las URLs de Strapi en absolutas
+ * @returns {string}
+ */
+function renderFigure(media, resolveUrl) {
+  if (!media?.url) {
+    return '';
+  }
+
+  const caption = getCaption(media);
+  return `<figure><img src="${escapeHtml(resolveUrl(media.url))}" alt="${escapeHtml(getAltText(media))}">${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}</figure>`;
+}
+
+/**
+ * Genera el contenido HTML completo de un artículo para los feeds
+ * Los lectores de feeds no ejecutan scripts, así que los carruseles se
+ * convierten en una imagen tras otra.
+ * @param {import('../../types').Article} article Artículo normalizado
+ * @param {(url: string) => string} resolveUrl Convierte las URLs de Strapi en absolutas
+ * @returns {string}
+ */
+export function renderFeedContent(article, resolveUrl) {
+  const blocks = (article.blocks || []).map((block) => {
+    switch (block.__component) {
+      case 'shared.rich-text':
+        return renderMarkdown(block.body);
+      case 'shared.quote':
+        return `<blockquote><p>${escapeHtml(block.body)}</p>${block.title ? `<cite>— ${escapeHtml(block.title)}</cite>` : ''}</blockquote>`;
+      case 'shared.media':
+        return renderFigure(block.file, resolveUrl);
+      case 'shared.slider':
+        return (block.files || []).map((file) => renderFigure(file, resolveUrl)).join('');
+      default:
+        return '';
+    }
+  });
+
+  return [
+    article.description ? `<p>${escapeHtml(article.description)}</p>` : '',
+    ...blocks,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Genera un feed RSS 2.0
+ * @param {Object} feed Datos del feed
+ * @param {string} feed.title Título del feed
+ * @param {string} feed.description Descripción del feed
+ * @param {string} feed.link URL de la página que resume el feed
+ * @param {string} feed.feedUrl URL absoluta del propio feed
+ * @param {string} [feed.language] Idioma del feed (por defecto `es`)
+ * @param {Array<import('../../types').Article>} feed.articles Artículos, del más reciente al más antiguo
+ * @param {(slug: string) => string} feed.articleUrl URL absoluta de un artículo
+ * @param {(url: string) => string} feed.resolveUrl Convierte las URLs de Strapi en absolutas
+ * @param {string} [feed.placeholder] Portada por defecto, que no se incluye como enclosure
+ * @param {string} [feed.author] Autor del feed en Atom (por defecto, el título)
+ * @returns {string}
+ */
+export function renderRssFeed({ title, description, link, feedUrl, language = 'es', articles, articleUrl, resolveUrl, placeholder }) {
+  const items = articles.map((article) => {
+    const cover = article.cover?.url && article.cover.url !== placeholder ? article.cover : null;
+    const enclosure = cover
+      ? `\n      <enclosure url="${escapeHtml(resolveUrl(cover.url))}" length="${cover.size ? Math.round(cover.size * 1024) : 0}" type="${escapeHtml(cover.mime || 'image/jpeg')}"/>`
+      : '';
+
+    return `    <item>
+      <title>${escapeHtml(article.title)}</title>
+      <link>${escapeHtml(articleUrl(article.slug))}</link>
+      <guid isPermaLink="false">${escapeHtml(getFeedEntryId(article))}</guid>
+      <pubDate>${new Date(article.publishedAt).toUTCString()}</pubDate>${article.author ? `\n      <dc:creator>${escapeHtml(article.author.name)}</dc:creator>` : ''}${article.category ? `\n      <category>${escapeHtml(article.category.name)}</category>` : ''}
+      <description>${escapeHtml(article.description || '')}</description>
+      <content:encoded>${escapeHtml(renderFeedContent(article, resolveUrl))}</content:encoded>${enclosure}
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(link)}</link>
+    <description>${escapeHtml(description)}</description>
+    <language>${escapeHtml(language)}</language>
+    <atom:link href="${escapeHtml(feedUrl)}" rel="self" type="application/rss+xml"/>${articles.length > 0 ? `\n    <lastBuildDate>${feedUpdated(articles).toUTCString()}</lastBuildDate>` : ''}
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Genera un feed Atom
+ * Recibe los mismos datos que renderRssFeed. El autor del feed vale para las
+ * entradas sin autor, que Atom no admite si el feed tampoco lo tiene.
+ * @param {Parameters<typeof renderRssFeed>[0]} feed Datos del feed
+ * @returns {string}
+ */
+export function renderAtomFeed({ title, description, link, feedUrl, language = 'es', articles, articleUrl, resolveUrl, placeholder, author = title }) {
+  const entries = articles.map((article) => {
+    const cover = article.cover?.url && article.cover.url !== placeholder ? article.cover : null;
+    const enclosure = cover
+      ? `\n    <link rel="enclosure" href="${escapeHtml(resolveUrl(cover.url))}" type="${escapeHtml(cover.mime || 'image/jpeg')}"${cover.size ? ` length="${Math.round(cover.size * 1024)}"` : ''}/>`
+      : '';
+
+    return `  <entry>
+    <title>${escapeHtml(article.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(articleUrl(article.slug))}"/>${enclosure}
+    <id>${escapeHtml(getFeedEntryId(article))}</id>
+    <published>${new Date(article.publishedAt).toISOString()}</published>
+    <updated>${lastModified(article).toISOString()}</updated>${article.author ? `\n    <author><name>${escapeHtml(article.author.name)}</name></author>` : ''}${article.category ? `\n    <category term="${escapeHtml(article.category.slug)}" label="${escapeHtml(article.category.name)}"/>` : ''}
+    <summary>${escapeHtml(article.description || '')}</summary>
+    <content type="html">${escapeHtml(renderFeedContent(article, resolveUrl))}</content>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeHtml(language)}">
+  <title>${escapeHtml(title)}</title>
+  <subtitle>${escapeHtml(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeHtml(link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(feedUrl)}"/>
+  <id>${escapeHtml(feedUrl)}</id>
+  <updated>${feedUpdated(articles).toISOString()}</updated>
+  <author><name>${escapeHtml(author)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
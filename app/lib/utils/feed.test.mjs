@@ -0,0 +1,53 @@
+/**
+ * Pruebas del feed Atom
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderAtomFeed } from './feed.mjs';
+
+const feed = {
+  title: 'Noticias',
+  description: 'Últimas noticias',
+  link: 'https://example.com/',
+  feedUrl: 'https://example.com/atom.xml',
+  articleUrl: (slug) => `https://example.com/news/${slug}/`,
+  resolveUrl: (url) => url,
+};
+
+const article = {
+  id: 1,
+  documentId: 'abc',
+  title: 'Sin autor',
+  slug: 'sin-autor',
+  description: 'Resumen',
+  publishedAt: '2024-03-01T10:00:00.000Z',
+  updatedAt: '2024-03-02T10:00:00.000Z',
+  blocks: [],
+};
+
+describe('renderAtomFeed', () => {
+  it('incluye el autor del feed para las entradas sin autor', () => {
+    const xml = renderAtomFeed({ ...feed, articles: [article], author: 'Mi periódico' });
+
+    assert.match(xml, /<\/updated>\n  <author><name>Mi periódico<\/name><\/author>/);
+    assert.doesNotMatch(xml, /<entry>[\s\S]*<author>/);
+  });
+
+  it('usa el título como autor del feed si no se indica otro', () => {
+    assert.match(renderAtomFeed({ ...feed, articles: [] }), /<author><name>Noticias<\/name><\/author>/);
+  });
+
+  it('toma <updated> de la modificación más reciente', () => {
+    const xml = renderAtomFeed({ ...feed, articles: [article] });
+    assert.match(xml, /<id>https:\/\/example\.com\/atom\.xml<\/id>\n  <updated>2024-03-02T10:00:00\.000Z<\/updated>/);
+  });
+
+  it('usa la fecha del build como <updated> de un feed vacío', () => {
+    const before = Date.now();
+    const xml = renderAtomFeed({ ...feed, articles: [] });
+    const updated = Date.parse(xml.match(/<updated>([^<]+)<\/updated>/)[1]);
+
+    assert.ok(updated >= before && updated <= Date.now(), xml);
+  });
+});
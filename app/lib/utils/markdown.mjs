@@ -0,0 +1,200 @@
+/**
+ * Renderizador de Markdown a HTML sanitizado
+ * Se usa tanto en la página de artículos de Next.js como en los generadores
+ * estáticos de scripts/, por eso es ESM puro y no depende de alias ni de
+ * otros módulos de la aplicación.
+ *
+ * Todo el texto se escapa antes de aplicar el formato, de modo que el HTML
+ * resultante solo contiene las etiquetas que genera este módulo.
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+// Marcador para proteger fragmentos ya renderizados (código y enlaces)
+const TOKEN = '\u0000';
+
+/**
+ * Escapa los caracteres especiales de HTML
+ * @param {string} text Texto a escapar
+ * @returns {string} Texto seguro para insertar en HTML
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Devuelve la URL si es segura para un enlace, o '#' en caso contrario
+ * @param {string} url URL (ya escapada) del enlace
+ * @returns {string} URL segura
+ */
+function sanitizeUrl(url) {
+  // Los navegadores ignoran espacios y caracteres de control dentro del esquema
+  const normalized = url.replace(/[\u0000- ]/g, '');
+
+  if (/^(https?:|mailto:)/i.test(normalized)) {
+    return normalized;
+  }
+
+  // Cualquier otro esquema (javascript:, data:, vbscript:...) se descarta
+  if (/^[a-z][a-z0-9+.-]*:/i.test(normalized)) {
+    return '#';
+  }
+
+  return normalized;
+}
+
+/**
+ * Aplica el formato en línea (código, enlaces, negrita y cursiva)
+ * @param {string} text Texto de una línea o párrafo
+ * @returns {string} HTML generado
+ */
+function renderInline(text) {
+  const tokens = [];
+  const protect = (html) => `${TOKEN}${tokens.push(html) - 1}${TOKEN}`;
+
+  let html = escapeHtml(text).replaceAll(TOKEN, '');
+
+  // Código en línea: su contenido no se interpreta
+  html = html.replace(/`([^`]+)`/g, (_, code) => protect(`<code>${code}</code>`));
+
+  // Enlaces [texto](url); la URL admite un nivel de paréntesis (`Foo_(bar)`)
+  html = html.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, label, url) =>
+    protect(`<a href="${sanitizeUrl(url)}">${renderEmphasis(label)}</a>`)
+  );
+
+  html = renderEmphasis(html);
+
+  return html.replace(new RegExp(`${TOKEN}(\\d+)${TOKEN}`, 'g'), (_, index) => tokens[Number(index)]);
+}
+
+/**
+ * Convierte **negrita**, __negrita__, *cursiva* y _cursiva_
+ * La negrita puede contener cursiva (`**negrita *cursiva* negrita**`): se
+ * convierte primero y la cursiva de dentro se resuelve después.
+ * @param {string} html Texto ya escapado
+ * @returns {string} HTML generado
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)((?:[^*]|\*[^*]+\*)+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)((?:[^_]|_[^_]+_)+?)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Convierte un texto Markdown en HTML sanitizado
+ * Soporta encabezados, párrafos, listas, citas, bloques de código,
+ * separadores, enlaces y énfasis.
+ * @param {string} markdown Texto en formato Markdown
+ * @returns {string} HTML generado
+ */
+export function renderMarkdown(markdown) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const flushList = () => {
+    if (list) {
+      const items = list.items.map((item) => `<li>${renderInline(item)}</li>`).join('');
+      html.push(`<${list.type}>${items}</${list.type}>`);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Bloque de código delimitado por ```
+    if (trimmed.startsWith('```')) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) {
+        code.push(lines[i]);
+        i++;
+      }
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (!trimmed) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    // Los # de cierre solo cuentan separados del texto, así que `## C#` conserva el suyo
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      flushList();
+      html.push('<hr>');
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      flushParagraph();
+      flushList();
+      const quote = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quote.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      i--;
+      html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    const unordered = trimmed.match(/^[-*+]\s+(.*)$/);
+    const ordered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+    if (unordered || ordered) {
+      flushParagraph();
+      const type = unordered ? 'ul' : 'ol';
+      if (list && list.type !== type) {
+        flushList();
+      }
+      list = list || { type, items: [] };
+      list.items.push((unordered || ordered)[1]);
+      continue;
+    }
+
+    // Las líneas que siguen a un elemento de lista lo continúan
+    if (list && /^\s+/.test(line)) {
+      list.items[list.items.length - 1] += `\n${trimmed}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(trimmed);
+  }
+
+  flushParagraph();
+  flushList();
+
+  return html.join('\n');
+}
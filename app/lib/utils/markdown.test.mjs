@@ -0,0 +1,74 @@
+/**
+ * Pruebas del renderizador de Markdown
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from './markdown.mjs';
+
+describe('renderMarkdown: énfasis', () => {
+  it('convierte negrita y cursiva', () => {
+    assert.equal(renderMarkdown('**negrita** y *cursiva*'), '<p><strong>negrita</strong> y <em>cursiva</em></p>');
+    assert.equal(renderMarkdown('__negrita__ y _cursiva_'), '<p><strong>negrita</strong> y <em>cursiva</em></p>');
+  });
+
+  it('admite cursiva dentro de negrita', () => {
+    assert.equal(renderMarkdown('**bold *nested* text**'), '<p><strong>bold <em>nested</em> text</strong></p>');
+    assert.equal(renderMarkdown('__bold _nested_ text__'), '<p><strong>bold <em>nested</em> text</strong></p>');
+  });
+
+  it('admite negrita dentro de cursiva', () => {
+    assert.equal(renderMarkdown('*cursiva **fuerte** cursiva*'), '<p><em>cursiva <strong>fuerte</strong> cursiva</em></p>');
+  });
+
+  it('no une dos negritas de la misma línea', () => {
+    assert.equal(renderMarkdown('**uno** y **dos**'), '<p><strong>uno</strong> y <strong>dos</strong></p>');
+  });
+
+  it('no interpreta los guiones bajos dentro de palabras', () => {
+    assert.equal(renderMarkdown('snake_case_name'), '<p>snake_case_name</p>');
+  });
+});
+
+describe('renderMarkdown: enlaces', () => {
+  it('convierte enlaces con formato en el texto', () => {
+    assert.equal(renderMarkdown('[**Strapi**](https://strapi.io)'), '<p><a href="https://strapi.io"><strong>Strapi</strong></a></p>');
+  });
+
+  it('admite un nivel de paréntesis en la URL', () => {
+    assert.equal(
+      renderMarkdown('Ver [Foo](https://en.wikipedia.org/wiki/Foo_(bar)).'),
+      '<p>Ver <a href="https://en.wikipedia.org/wiki/Foo_(bar)">Foo</a>.</p>'
+    );
+  });
+
+  it('no incluye en la URL el paréntesis que cierra el texto', () => {
+    assert.equal(renderMarkdown('(ver [Foo](https://foo.dev))'), '<p>(ver <a href="https://foo.dev">Foo</a>)</p>');
+  });
+
+  it('descarta los esquemas peligrosos', () => {
+    assert.equal(renderMarkdown('[x](javascript:alert(1))'), '<p><a href="#">x</a></p>');
+  });
+});
+
+describe('renderMarkdown: títulos', () => {
+  it('conserva los # que forman parte del texto', () => {
+    assert.equal(renderMarkdown('## C#'), '<h2>C#</h2>');
+    assert.equal(renderMarkdown('### Issue #42 resuelta'), '<h3>Issue #42 resuelta</h3>');
+  });
+
+  it('quita los # de cierre opcionales', () => {
+    assert.equal(renderMarkdown('## Título ##'), '<h2>Título</h2>');
+    assert.equal(renderMarkdown('# F# #'), '<h1>F#</h1>');
+  });
+});
+
+describe('renderMarkdown: sanitizado', () => {
+  it('escapa el HTML del texto', () => {
+    assert.equal(renderMarkdown('<script>alert("x")</script>'), '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+  });
+
+  it('no interpreta el formato dentro del código', () => {
+    assert.equal(renderMarkdown('`**literal**`'), '<p><code>**literal**</code></p>');
+  });
+});
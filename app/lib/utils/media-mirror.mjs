@@ -0,0 +1,163 @@
+/**
+ * Réplica de los archivos subidos a Strapi dentro del export estático
+ * Con MEDIA_MIRROR=true las páginas no enlazan al host del CMS: las URLs de
+ * `/uploads/...` se reescriben a MEDIA_BASE_URL (el bucket o la CDN) y los
+ * archivos se descargan a out/uploads durante la generación.
+ *
+ * Los archivos se identifican por su `hash` de Strapi, que también es el nombre
+ * con el que Strapi los guarda (`<hash><ext>`), así que cada archivo se
+ * descarga una sola vez aunque lo usen varios artículos. Las descargas se
+ * guardan en una caché persistente (MEDIA_MIRROR_CACHE_DIR) para no volver a
+ * pedirlas en el siguiente build, ya que out/ se vacía en cada generación.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Carpeta de out/ (y prefijo de URL) donde se publican los archivos
+export const MIRROR_DIR = 'uploads';
+
+const DEFAULT_CACHE_DIR = '.cache/uploads';
+
+/**
+ * Indica si la réplica de archivos está activa (MEDIA_MIRROR)
+ * @returns {boolean}
+ */
+export function isMediaMirrorEnabled() {
+  const value = typeof process !== 'undefined' ? process.env.MEDIA_MIRROR : undefined;
+  return ['1', 'true', 'yes'].includes(String(value ?? '').toLowerCase());
+}
+
+/**
+ * Devuelve el nombre del archivo replicado
+ * Usa `<hash><ext>` si se conocen y, si no, el nombre del archivo en la URL
+ * (que en Strapi coincide con el hash).
+ * @param {{ url: string, hash?: string, ext?: string }} file Archivo o variante de Strapi
+ * @returns {string}
+ */
+export function getMirrorFileName(file) {
+  if (file.hash && file.ext) {
+    return `${file.hash}${file.ext}`;
+  }
+
+  return path.posix.basename(new URL(file.url, 'http://strapi.local').pathname);
+}
+
+/**
+ * Reescribe la URL de un archivo de Strapi a su copia replicada
+ * @param {string} url URL relativa (/uploads/...) o absoluta del archivo
+ * @param {string} [baseUrl] URL pública de la réplica (MEDIA_BASE_URL, por defecto la raíz del sitio)
+ * @returns {string}
+ */
+export function getMirroredUrl(url, baseUrl = process.env.MEDIA_BASE_URL || '') {
+  return `${baseUrl.replace(/\/+$/, '')}/${MIRROR_DIR}/${getMirrorFileName({ url })}`;
+}
+
+/**
+ * Devuelve la URL pública de un archivo de Strapi
+ * Con MEDIA_MIRROR=true apunta a la réplica; si no, al host de Strapi.
+ * @param {string} url URL relativa (/uploads/...) o absoluta del archivo
+ * @param {string} strapiUrl URL de Strapi para las URLs relativas
+ * @returns {string}
+ */
+export function resolveMediaUrl(url, strapiUrl) {
+  if (!url) {
+    return url;
+  }
+
+  if (isMediaMirrorEnabled()) {
+    return getMirroredUrl(url);
+  }
+
+  return url.startsWith('http') ? url : `${strapiUrl.replace(/\/+$/, '')}${url}`;
+}
+
+/**
+ * Reúne los archivos que usa un artículo: portada y archivos de los bloques
+ * media y slider, incluidas todas sus variantes (`formats`)
+ * @param {import('../../types').Article} article Artículo normalizado
+ * @param {string} [placeholder] URL de la portada por defecto, que no se replica
+ * @returns {Array<{ url: string, hash?: string, ext?: string }>}
+ */
+export function collectArticleMedia(article, placeholder) {
+  const files = [];
+  const add = (media) => {
+    if (!media?.url || media.url === placeholder) {
+      return;
+    }
+
+    files.push(media, ...Object.values(media.formats || {}));
+  };
+
+  add(article.cover);
+
+  for (const block of article.blocks || []) {
+    if (block.__component === 'shared.media') {
+      add(block.file);
+    } else if (block.__component === 'shared.slider') {
+      (block.files || []).forEach(add);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Descarga los archivos a la caché y los copia a `<outDir>/uploads`
+ * @param {Array<{ url: string, hash?: string, ext?: string }>} files Archivos a replicar
+ * @param {Object} options Opciones
+ * @param {string} options.outDir Directorio del export estático
+ * @param {string} options.sourceBaseUrl URL de Strapi para las URLs relativas
+ * @param {string} [options.cacheDir] Caché de descargas (MEDIA_MIRROR_CACHE_DIR)
+ * @param {Function} [options.fetch] Implementación de fetch (por defecto la global)
+ * @param {(message: string) => void} [options.log] Función de log
+ * @returns {Promise<{ downloaded: number, cached: number, failed: Array<{ url: string, error: string }> }>}
+ */
+export async function mirrorMediaFiles(files, options) {
+  const cacheDir = path.resolve(options.cacheDir || process.env.MEDIA_MIRROR_CACHE_DIR || DEFAULT_CACHE_DIR);
+  const targetDir = path.join(options.outDir, MIRROR_DIR);
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const log = options.log || ((message) => console.log(message));
+  const result = { downloaded: 0, cached: 0, failed: [] };
+
+  // Un archivo por hash, aunque aparezca en varios artículos
+  const unique = new Map();
+  for (const file of files) {
+    unique.set(getMirrorFileName(file), file);
+  }
+
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  for (const [fileName, file] of unique) {
+    const cached = path.join(cacheDir, fileName);
+
+    if (fs.existsSync(cached)) {
+      result.cached++;
+    } else {
+      const source = file.url.startsWith('http') ? file.url : `${options.sourceBaseUrl.replace(/\/+$/, '')}${file.url}`;
+
+      try {
+        const response = await fetchImpl(source);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Escritura atómica: una descarga a medias no debe quedar en la caché
+        const temporary = `${cached}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, Buffer.from(await response.arrayBuffer()));
+        fs.renameSync(temporary, cached);
+        result.downloaded++;
+        log(`⬇️ Descargado ${fileName}`);
+      } catch (error) {
+        result.failed.push({ url: source, error: error.message });
+        log(`⚠️ No se pudo descargar ${source}: ${error.message}`);
+        continue;
+      }
+    }
+
+    fs.copyFileSync(cached, path.join(targetDir, fileName));
+  }
+
+  return result;
+}
@@ -0,0 +1,13 @@
+import { resolveMediaUrl } from './media-mirror.mjs';
+
+const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1337';
+
+/**
+ * Devuelve la URL absoluta de un archivo subido a Strapi
+ * Con MEDIA_MIRROR=true apunta a la copia de out/uploads (MEDIA_BASE_URL)
+ * en lugar del host del CMS.
+ * @param url URL relativa (/uploads/...) o absoluta del archivo
+ */
+export function getStrapiMediaUrl(url: string): string {
+  return resolveMediaUrl(url, STRAPI_URL);
+}
@@ -0,0 +1,100 @@
+/**
+ * Imágenes responsive a partir de los `formats` de Strapi
+ * Strapi genera variantes thumbnail, small, medium y large de cada imagen.
+ * Como el export estático desactiva la optimización de next/image, el srcset
+ * se construye con esas variantes. Es ESM puro para que lo compartan los
+ * componentes de Next.js y los generadores de scripts/.
+ */
+
+import { escapeHtml } from './markdown.mjs';
+import { getAltText, getCaption } from './alt-text.mjs';
+
+// Variantes que genera Strapi, de menor a mayor
+export const MEDIA_FORMATS = ['thumbnail', 'small', 'medium', 'large'];
+
+// Ancho de las imágenes del cuerpo de un artículo (bloques media)
+export const CONTENT_IMAGE_SIZES = '(min-width: 896px) 848px, 100vw';
+
+// Variante que se usa como `src` por defecto para no descargar el original
+const DEFAULT_FORMAT = 'large';
+
+/**
+ * Devuelve las variantes de una imagen con anchura conocida, ordenadas de menor a mayor
+ * Incluye el original, sin repetir anchuras.
+ * @param {import('../../types').Media} media Imagen normalizada
+ * @returns {Array<{ url: string, width: number, height: number | null }>}
+ */
+export function getImageCandidates(media) {
+  const candidates = [
+    ...MEDIA_FORMATS.map((format) => media?.formats?.[format]).filter(Boolean),
+    media,
+  ].filter((candidate) => candidate?.url && candidate.width);
+
+  const byWidth = new Map();
+  for (const candidate of candidates) {
+    if (!byWidth.has(candidate.width)) {
+      byWidth.set(candidate.width, { url: candidate.url, width: candidate.width, height: candidate.height ?? null });
+    }
+  }
+
+  return [...byWidth.values()].sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Construye el atributo srcset de una imagen
+ * @param {import('../../types').Media} media Imagen normalizada
+ * @param {(url: string) => string} [resolveUrl] Convierte URLs relativas en absolutas
+ * @returns {string | undefined} srcset, o undefined si no hay anchuras conocidas
+ */
+export function buildSrcSet(media, resolveUrl = (url) => url) {
+  const candidates = getImageCandidates(media);
+
+  if (candidates.length === 0) {
+    return undefined;
+  }
+
+  return candidates.map((candidate) => `${resolveUrl(candidate.url)} ${candidate.width}w`).join(', ');
+}
+
+/**
+ * Devuelve la fuente por defecto (`src`, `width` y `height`) de una imagen
+ * Usa la variante large si existe, con las dimensiones del original para
+ * reservar el espacio con la proporción correcta.
+ * @param {import('../../types').Media} media Imagen normalizada
+ * @returns {{ url: string, width: number | null, height: number | null }}
+ */
+export function getDefaultSource(media) {
+  const format = media?.formats?.[DEFAULT_FORMAT];
+
+  return {
+    url: format?.url || media?.url,
+    width: media?.width ?? format?.width ?? null,
+    height: media?.height ?? format?.height ?? null,
+  };
+}
+
+/**
+ * Genera el HTML de una imagen con su pie de foto (`<figure>`) para las páginas
+ * estáticas de los generadores, equivalente al componente MediaFigure
+ * @param {import('../../types').Media} media Imagen normalizada
+ * @param {Object} options Opciones
+ * @param {(url: string) => string} options.resolveUrl Convierte las URLs de Strapi en absolutas
+ * @param {string} options.sizes Ancho que ocupa la imagen en cada breakpoint
+ * @param {string} [options.className] Clase del `<figure>`
+ * @param {string} [options.imageClassName] Clase de la etiqueta `<img>`
+ * @returns {string} HTML de la imagen, o '' si no tiene URL
+ */
+export function renderFigureHtml(media, { resolveUrl, sizes, className = '', imageClassName = '' }) {
+  if (!media?.url) {
+    return '';
+  }
+
+  const srcset = buildSrcSet(media, resolveUrl);
+  const source = getDefaultSource(media);
+  const caption = getCaption(media);
+
+  return `<figure${className ? ` class="${className}"` : ''}>
+        <img${imageClassName ? ` class="${imageClassName}"` : ''} src="${resolveUrl(source.url)}"${srcset ? ` srcset="${srcset}" sizes="${sizes}"` : ''}${source.width && source.height ? ` width="${source.width}" height="${source.height}"` : ''} alt="${escapeHtml(getAltText(media))}" loading="lazy" decoding="async">
+        ${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}
+      </figure>`;
+}
@@ -0,0 +1,198 @@
+/**
+ * Metadatos para buscadores y redes sociales
+ * Construye los datos de Open Graph, Twitter y JSON-LD (`NewsArticle` y
+ * `BreadcrumbList`) de un artículo. Lo comparten las páginas de Next.js, que
+ * los pasan a `generateMetadata`, y los generadores de scripts/, que escriben
+ * las etiquetas con renderArticleHeadTags.
+ */
+
+import { escapeHtml } from './markdown.mjs';
+import { getAltText } from './alt-text.mjs';
+
+// Idioma del sitio para Open Graph
+export const SITE_LOCALE = 'es_ES';
+
+/**
+ * URL pública del sitio (NEXT_PUBLIC_SITE_URL), sin barra final
+ * @returns {string}
+ */
+export function getSiteUrl() {
+  return (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+/**
+ * Nombre de la publicación (SITE_NAME)
+ * @returns {string}
+ */
+export function getSiteName() {
+  return process.env.SITE_NAME || 'Noticiero Regional';
+}
+
+/**
+ * Convierte una ruta del sitio en URL absoluta; deja igual las URLs absolutas
+ * @param {string} url Ruta (`/news/...`) o URL absoluta
+ * @param {string} [siteUrl] URL pública del sitio
+ * @returns {string}
+ */
+export function toAbsoluteUrl(url, siteUrl = getSiteUrl()) {
+  return url.startsWith('/') ? `${siteUrl}${url}` : url;
+}
+
+/**
+ * Devuelve la fecha en ISO 8601, o undefined si no es válida
+ * @param {Date | string | undefined} value Fecha
+ * @returns {string | undefined}
+ */
+function toIsoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+}
+
+/**
+ * Ruta canónica de un artículo (con la barra final del export)
+ * @param {string} slug Slug del artículo
+ * @returns {string}
+ */
+export function getArticlePath(slug) {
+  return `/news/${slug}/`;
+}
+
+/**
+ * Elige la imagen para compartir en redes: la variante large si existe (las
+ * redes recortan a ~1200px) o el original, siempre con sus propias dimensiones
+ * @param {import('../../types').Media | undefined} media Portada normalizada
+ * @param {(url: string) => string} resolveUrl Convierte las URLs de Strapi en absolutas
+ * @param {string} [placeholder] Portada por defecto, que no se comparte
+ * @returns {{ url: string, width?: number, height?: number, alt: string, type?: string } | null}
+ */
+export function getShareImage(media, resolveUrl, placeholder) {
+  if (!media?.url || media.url === placeholder) {
+    return null;
+  }
+
+  const source = media.formats?.large || media;
+
+  return {
+    url: resolveUrl(source.url),
+    width: source.width || undefined,
+    height: source.height || undefined,
+    alt: getAltText(media),
+    type: source.mime || media.mime,
+  };
+}
+
+/**
+ * Construye los metadatos de una página de artículo
+ * @param {import('../../types').Article} article Artículo normalizado
+ * @param {Object} options Opciones
+ * @param {(url: string) => string} options.resolveUrl Convierte las URLs de Strapi en absolutas
+ * @param {string} [options.placeholder] Portada por defecto, que no se comparte
+ * @param {string} [options.siteUrl] URL pública del sitio
+ * @param {string} [options.siteName] Nombre de la publicación
+ * @returns {Object} Título, descripción, URL canónica, imagen, Open Graph y JSON-LD
+ */
+export function buildArticleSeo(article, options) {
+  const siteUrl = options.siteUrl || getSiteUrl();
+  const siteName = options.siteName || getSiteName();
+  const resolveUrl = (url) => toAbsoluteUrl(options.resolveUrl(url), siteUrl);
+  const url = toAbsoluteUrl(getArticlePath(article.slug), siteUrl);
+  const image = getShareImage(article.cover, resolveUrl, options.placeholder);
+  const description = article.description || '';
+  const publishedTime = toIsoDate(article.publishedAt);
+  // Strapi puede fechar la última edición antes de la publicación
+  const modifiedTime = [toIsoDate(article.updatedAt), publishedTime].filter(Boolean).sort().pop();
+  const authorUrl = article.author ? toAbsoluteUrl(`/author/${article.author.slug}/`, siteUrl) : undefined;
+
+  const newsArticle = {
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    headline: article.title,
+    description: description || undefined,
+    image: image ? [image.url] : undefined,
+    datePublished: publishedTime,
+    dateModified: modifiedTime,
+    author: article.author ? [{ '@type': 'Person', name: article.author.name, url: authorUrl }] : undefined,
+    publisher: { '@type': 'Organization', name: siteName, url: `${siteUrl}/` },
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    articleSection: article.category?.name,
+  };
+
+  const breadcrumbs = [
+    { name: 'Inicio', url: `${siteUrl}/` },
+    { name: 'Noticias', url: toAbsoluteUrl('/news/', siteUrl) },
+    ...(article.category ? [{ name: article.category.name, url: toAbsoluteUrl(`/category/${article.category.slug}/`, siteUrl) }] : []),
+    { name: article.title, url },
+  ];
+
+  const breadcrumbList = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: breadcrumbs.map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.name,
+      item: crumb.url,
+    })),
+  };
+
+  return {
+    title: article.title,
+    description,
+    url,
+    siteName,
+    image,
+    publishedTime,
+    modifiedTime,
+    author: article.author?.name,
+    authorUrl,
+    section: article.category?.name,
+    jsonLd: [newsArticle, breadcrumbList],
+  };
+}
+
+/**
+ * Serializa JSON-LD para incrustarlo en una etiqueta <script>
+ * Escapa `<` para que un título con `</script>` no cierre la etiqueta.
+ * @param {Object | Object[]} data Datos estructurados
+ * @returns {string}
+ */
+export function serializeJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Genera las etiquetas del <head> de un artículo para los generadores estáticos
+ * @param {ReturnType<typeof buildArticleSeo>} seo Metadatos del artículo
+ * @returns {string} HTML con title, description, canonical, Open Graph, Twitter y JSON-LD
+ */
+export function renderArticleHeadTags(seo) {
+  const meta = (attribute, name, content) => {
+    return content ? `<meta ${attribute}="${name}" content="${escapeHtml(content)}">` : '';
+  };
+
+  return [
+    `<title>${escapeHtml(`${seo.title} | ${seo.siteName}`)}</title>`,
+    meta('name', 'description', seo.description),
+    `<link rel="canonical" href="${escapeHtml(seo.url)}">`,
+    meta('property', 'og:type', 'article'),
+    meta('property', 'og:site_name', seo.siteName),
+    meta('property', 'og:locale', SITE_LOCALE),
+    meta('property', 'og:title', seo.title),
+    meta('property', 'og:description', seo.description),
+    meta('property', 'og:url', seo.url),
+    meta('property', 'og:image', seo.image?.url),
+    meta('property', 'og:image:width', seo.image?.width ? String(seo.image.width) : ''),
+    meta('property', 'og:image:height', seo.image?.height ? String(seo.image.height) : ''),
+    meta('property', 'og:image:alt', seo.image?.alt),
+    meta('property', 'article:published_time', seo.publishedTime),
+    meta('property', 'article:modified_time', seo.modifiedTime),
+    meta('property', 'article:author', seo.authorUrl),
+    meta('property', 'article:section', seo.section),
+    meta('name', 'twitter:card', seo.image ? 'summary_large_image' : 'summary'),
+    meta('name', 'twitter:title', seo.title),
+    meta('name', 'twitter:description', seo.description),
+    meta('name', 'twitter:image', seo.image?.url),
+    meta('name', 'twitter:image:alt', seo.image?.alt),
+    `<script type="application/ld+json">${serializeJsonLd(seo.jsonLd)}</script>`,
+  ].filter(Boolean).join('\n  ');
+}
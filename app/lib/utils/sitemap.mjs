@@ -0,0 +1,270 @@
+/**
+ * Sitemaps y robots.txt del sitio estático
+ * Genera el sitemap general (portada, noticias, categorías y autores) con
+ * `lastmod` tomado del `updatedAt` de los artículos, un sitemap de Google News
+ * con los artículos de las últimas 48 horas y el robots.txt que los anuncia.
+ *
+ * Los protocolos limitan el tamaño de cada archivo: 50.000 URLs por sitemap y
+ * 1.000 por sitemap de Google News. Si se superan, se dividen en varios
+ * archivos y `sitemap.xml` pasa a ser un índice de sitemaps.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { escapeHtml } from './markdown.mjs';
+
+// Límite de URLs por archivo de sitemap (protocolo sitemaps.org)
+export const SITEMAP_MAX_URLS = 50000;
+
+// Límite de artículos por sitemap de Google News
+export const NEWS_SITEMAP_MAX_URLS = 1000;
+
+// Antigüedad máxima de los artículos del sitemap de Google News
+export const NEWS_SITEMAP_WINDOW_HOURS = 48;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+/**
+ * Devuelve la fecha en formato W3C, o null si no es válida
+ * @param {Date | string | undefined} value Fecha
+ * @returns {string | null}
+ */
+function toW3CDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Devuelve la más reciente de varias fechas (o null si ninguna es válida)
+ * @param {Array<Date | string | undefined>} values Fechas
+ * @returns {string | null}
+ */
+function latestDate(values) {
+  return values.map(toW3CDate).filter(Boolean).sort().pop() || null;
+}
+
+/**
+ * Convierte una ruta del sitio en URL absoluta con la barra final del export
+ * @param {string} siteUrl URL pública del sitio
+ * @param {string} pathname Ruta, p. ej. `/news/mi-articulo`
+ * @returns {string}
+ */
+export function absoluteUrl(siteUrl, pathname) {
+  const base = siteUrl.replace(/\/+$/, '');
+  const route = pathname.replace(/^\/*/, '/').replace(/\/*$/, '/');
+  return `${base}${route}`;
+}
+
+/**
+ * URL absoluta de un archivo de la raíz del sitio (sin barra final)
+ * @param {string} siteUrl URL pública del sitio
+ * @param {string} fileName Nombre del archivo, p. ej. `sitemap.xml`
+ * @returns {string}
+ */
+function fileUrl(siteUrl, fileName) {
+  return `${siteUrl.replace(/\/+$/, '')}/${fileName}`;
+}
+
+/**
+ * Reúne las URLs del sitemap general
+ * Las páginas de categoría y de autor toman como `lastmod` el artículo más
+ * reciente que listan; la portada y /news, el de todo el sitio.
+ * @param {Object} content Contenido normalizado
+ * @param {Array<import('../../types').Article>} content.articles Artículos
+ * @param {Array<import('../../types').Category>} content.categories Categorías
+ * @param {Array<import('../../types').Author>} content.authors Autores
+ * @param {string} siteUrl URL pública del sitio
+ * @returns {Array<{ loc: string, lastmod: string | null }>}
+ */
+export function buildSitemapEntries({ articles, categories, authors }, siteUrl) {
+  const modified = (article) => article.updatedAt || article.publishedAt;
+  const latestOf = (list) => latestDate(list.map(modified));
+  const siteLastmod = latestOf(articles);
+
+  return [
+    { loc: absoluteUrl(siteUrl, '/'), lastmod: siteLastmod },
+    { loc: absoluteUrl(siteUrl, '/news'), lastmod: siteLastmod },
+    ...articles.map((article) => ({
+      loc: absoluteUrl(siteUrl, `/news/${article.slug}`),
+      lastmod: toW3CDate(modified(article)),
+    })),
+    ...categories.map((category) => ({
+      loc: absoluteUrl(siteUrl, `/category/${category.slug}`),
+      lastmod: latestOf(articles.filter((article) => article.category?.slug === category.slug)),
+    })),
+    ...authors.map((author) => ({
+      loc: absoluteUrl(siteUrl, `/author/${author.slug}`),
+      lastmod: latestOf(articles.filter((article) => article.author?.slug === author.slug)),
+    })),
+  ];
+}
+
+/**
+ * Filtra los artículos publicados en la ventana del sitemap de Google News
+ * @param {Array<import('../../types').Article>} articles Artículos
+ * @param {Date} [now] Fecha de referencia
+ * @returns {Array<import('../../types').Article>} Artículos, del más reciente al más antiguo
+ */
+export function selectNewsArticles(articles, now = new Date()) {
+  const since = now.getTime() - NEWS_SITEMAP_WINDOW_HOURS * 60 * 60 * 1000;
+
+  return articles
+    .filter((article) => {
+      const published = new Date(article.publishedAt).getTime();
+      return published >= since && published <= now.getTime();
+    })
+    .sort((a, b) => new Date(b.publishedAt).getTime() - new Date(a.publishedAt).getTime());
+}
+
+/**
+ * Genera un `<urlset>` de sitemap
+ * @param {Array<{ loc: string, lastmod: string | null }>} entries URLs
+ * @returns {string}
+ */
+export function renderUrlset(entries) {
+  const urls = entries.map(({ loc, lastmod }) => {
+    return `  <url>\n    <loc>${escapeHtml(loc)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ''}\n  </url>`;
+  });
+
+  return `${XML_HEADER}
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Genera un sitemap de Google News
+ * @param {Array<import('../../types').Article>} articles Artículos de la ventana de noticias
+ * @param {Object} options Opciones
+ * @param {string} options.siteUrl URL pública del sitio
+ * @param {string} options.publicationName Nombre de la publicación
+ * @param {string} options.language Idioma ISO 639 de la publicación
+ * @returns {string}
+ */
+export function renderNewsSitemap(articles, { siteUrl, publicationName, language }) {
+  const urls = articles.map((article) => `  <url>
+    <loc>${escapeHtml(absoluteUrl(siteUrl, `/news/${article.slug}`))}</loc>
+    <news:news>
+      <news:publication>
+        <news:name>${escapeHtml(publicationName)}</news:name>
+        <news:language>${escapeHtml(language)}</news:language>
+      </news:publication>
+      <news:publication_date>${toW3CDate(article.publishedAt)}</news:publication_date>
+      <news:title>${escapeHtml(article.title)}</news:title>
+    </news:news>
+  </url>`);
+
+  return `${XML_HEADER}
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Genera un índice de sitemaps
+ * @param {Array<{ loc: string, lastmod: string | null }>} sitemaps Sitemaps del índice
+ * @returns {string}
+ */
+export function renderSitemapIndex(sitemaps) {
+  const items = sitemaps.map(({ loc, lastmod }) => {
+    return `  <sitemap>\n    <loc>${escapeHtml(loc)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ''}\n  </sitemap>`;
+  });
+
+  return `${XML_HEADER}
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${items.join('\n')}
+</sitemapindex>
+`;
+}
+
+/**
+ * Genera el robots.txt
+ * @param {Object} options Opciones
+ * @param {string[]} options.sitemaps URLs absolutas de los sitemaps
+ * @param {string[]} [options.disallow] Rutas que no deben rastrearse
+ * @returns {string}
+ */
+export function renderRobotsTxt({ sitemaps, disallow = [] }) {
+  const rules = disallow.length > 0 ? disallow.map((route) => `Disallow: ${route}`) : ['Allow: /'];
+
+  return [
+    'User-agent: *',
+    ...rules,
+    '',
+    ...sitemaps.map((sitemap) => `Sitemap: ${sitemap}`),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Divide una lista en bloques de un tamaño máximo
+ * @template T
+ * @param {T[]} items Elementos
+ * @param {number} size Tamaño máximo de cada bloque
+ * @returns {T[][]}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+/**
+ * Escribe los sitemaps y el robots.txt en el directorio del export
+ * - `sitemap.xml`: urlset o, si hay más de 50.000 URLs, índice de `sitemap-<n>.xml`
+ * - `sitemap-news.xml` (y `sitemap-news-<n>.xml`): artículos de las últimas 48 horas
+ * - `robots.txt`: anuncia los sitemaps de primer nivel
+ * @param {Object} content Contenido normalizado (artículos, categorías y autores)
+ * @param {Object} options Opciones
+ * @param {string} options.outDir Directorio del export estático
+ * @param {string} options.siteUrl URL pública del sitio
+ * @param {string} options.publicationName Nombre de la publicación para Google News
+ * @param {string} [options.language] Idioma de la publicación (por defecto `es`)
+ * @param {string[]} [options.disallow] Rutas excluidas en robots.txt
+ * @param {Date} [options.now] Fecha de referencia para la ventana de noticias
+ * @returns {{ files: string[], urls: number, news: number }} Archivos escritos (relativos a outDir)
+ */
+export function writeSitemaps(content, options) {
+  const { outDir, siteUrl, publicationName, language = 'es', disallow, now = new Date() } = options;
+  const files = [];
+  const write = (fileName, data) => {
+    fs.writeFileSync(path.join(outDir, fileName), data);
+    files.push(fileName);
+  };
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  // Sitemap general, dividido en un índice si supera el límite
+  const entries = buildSitemapEntries(content, siteUrl);
+
+  if (entries.length <= SITEMAP_MAX_URLS) {
+    write('sitemap.xml', renderUrlset(entries));
+  } else {
+    const parts = chunk(entries, SITEMAP_MAX_URLS).map((part, index) => {
+      const fileName = `sitemap-${index + 1}.xml`;
+      write(fileName, renderUrlset(part));
+      return { loc: fileUrl(siteUrl, fileName), lastmod: latestDate(part.map((entry) => entry.lastmod)) };
+    });
+    write('sitemap.xml', renderSitemapIndex(parts));
+  }
+
+  // Sitemap de Google News: se escribe aunque esté vacío para que la URL
+  // anunciada en robots.txt siga respondiendo
+  const newsArticles = selectNewsArticles(content.articles, now);
+  const newsChunks = newsArticles.length > 0 ? chunk(newsArticles, NEWS_SITEMAP_MAX_URLS) : [[]];
+  newsChunks.forEach((part, index) => {
+    write(index === 0 ? 'sitemap-news.xml' : `sitemap-news-${index + 1}.xml`, renderNewsSitemap(part, { siteUrl, publicationName, language }));
+  });
+
+  const topLevel = ['sitemap.xml', ...files.filter((file) => file.startsWith('sitemap-news'))];
+  write('robots.txt', renderRobotsTxt({
+    sitemaps: topLevel.map((file) => fileUrl(siteUrl, file)),
+    disallow,
+  }));
+
+  return { files, urls: entries.length, news: newsArticles.length };
+}
@@ -0,0 +1,129 @@
+/**
+ * Carrusel de imágenes para los bloques `shared.slider`
+ * Sin JavaScript funciona como una tira con scroll-snap: se desliza con el
+ * dedo, con la rueda o con las flechas del teclado cuando tiene el foco. Un
+ * script mínimo (sin frameworks) añade los botones anterior/siguiente, la
+ * navegación con flechas diapositiva a diapositiva y el anuncio de la
+ * posición para lectores de pantalla.
+ *
+ * Lo comparten el componente Slider de Next.js y los generadores de scripts/,
+ * que deben producir el mismo marcado (atributos `data-slider-*`).
+ */
+
+import { escapeHtml } from './markdown.mjs';
+import { buildSrcSet, getDefaultSource } from './responsive-image.mjs';
+import { getAltText, getCaption } from './alt-text.mjs';
+
+// Ancho de las diapositivas en cada breakpoint (atributo `sizes`)
+export const SLIDER_IMAGE_SIZES = '(min-width: 896px) 848px, 100vw';
+
+/**
+ * Inicializa los carruseles de la página que aún no lo estén
+ * Se serializa con toString() para incrustarlo en las páginas, así que no
+ * puede usar nada de fuera de la propia función.
+ */
+function initSliders() {
+  document.querySelectorAll('[data-slider]:not([data-slider-ready])').forEach((slider) => {
+    const track = slider.querySelector('[data-slider-track]');
+    const slides = track ? Array.from(track.children) : [];
+    const prev = slider.querySelector('[data-slider-prev]');
+    const next = slider.querySelector('[data-slider-next]');
+    const status = slider.querySelector('[data-slider-status]');
+
+    if (slides.length < 2) {
+      return;
+    }
+
+    slider.setAttribute('data-slider-ready', '');
+    let current = 0;
+
+    const update = () => {
+      current = Math.round(track.scrollLeft / track.clientWidth);
+      prev.disabled = current === 0;
+      next.disabled = current === slides.length - 1;
+      status.textContent = `Imagen ${current + 1} de ${slides.length}`;
+    };
+
+    const goTo = (index) => {
+      const target = Math.max(0, Math.min(slides.length - 1, index));
+      track.scrollTo({ left: target * track.clientWidth, behavior: 'smooth' });
+    };
+
+    prev.hidden = false;
+    next.hidden = false;
+    prev.addEventListener('click', () => goTo(current - 1));
+    next.addEventListener('click', () => goTo(current + 1));
+
+    slider.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        goTo(current + (event.key === 'ArrowRight' ? 1 : -1));
+      }
+    });
+
+    let frame = 0;
+    track.addEventListener('scroll', () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(update);
+    }, { passive: true });
+
+    update();
+  });
+}
+
+// Script listo para incrustar en una etiqueta <script>
+export const SLIDER_SCRIPT = `(${initSliders.toString()})();`;
+
+// Estilos del carrusel para las páginas de los generadores (Next.js usa Tailwind)
+export const SLIDER_STYLES = `
+    .slider { position: relative; margin: 30px 0; }
+    .slider-track { display: flex; overflow-x: auto; scroll-snap-type: x mandatory; scrollbar-width: none; border-radius: 5px; margin: 0; padding: 0; list-style: none; }
+    .slider-track::-webkit-scrollbar { display: none; }
+    .slider-slide { flex: 0 0 100%; scroll-snap-align: center; }
+    .slider-slide figure { margin: 0; }
+    .slider-slide img { display: block; width: 100%; height: auto; }
+    .slider-slide figcaption { color: #7f8c8d; font-size: 0.9em; margin-top: 8px; }
+    .slider-button { position: absolute; top: 40%; border: 0; border-radius: 50%; width: 40px; height: 40px; background: rgba(0, 0, 0, 0.5); color: #fff; font-size: 24px; cursor: pointer; }
+    .slider-button:disabled { opacity: 0.3; cursor: default; }
+    .slider-button[hidden] { display: none; }
+    .slider-prev { left: 10px; }
+    .slider-next { right: 10px; }
+    .slider-status { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }`;
+
+/**
+ * Genera el HTML de un carrusel para las páginas estáticas de los generadores
+ * @param {Array<import('../../types').Media>} files Imágenes normalizadas del bloque
+ * @param {Object} options Opciones
+ * @param {string} options.id Identificador único del carrusel en la página
+ * @param {(url: string) => string} options.resolveUrl Convierte las URLs de Strapi en absolutas
+ * @returns {string} HTML del carrusel, o '' si no hay imágenes
+ */
+export function renderSliderHtml(files, { id, resolveUrl }) {
+  const images = (files || []).filter((file) => file?.url);
+
+  if (images.length === 0) {
+    return '';
+  }
+
+  const slides = images.map((file, index) => {
+    const srcset = buildSrcSet(file, resolveUrl);
+    const source = getDefaultSource(file);
+    const caption = getCaption(file);
+
+    return `<li class="slider-slide" id="${id}-${index + 1}" aria-roledescription="diapositiva" aria-label="${index + 1} de ${images.length}">
+        <figure>
+          <img src="${resolveUrl(source.url)}"${srcset ? ` srcset="${srcset}" sizes="${SLIDER_IMAGE_SIZES}"` : ''}${source.width && source.height ? ` width="${source.width}" height="${source.height}"` : ''} alt="${escapeHtml(getAltText(file))}" loading="lazy" decoding="async">
+          ${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}
+        </figure>
+      </li>`;
+  }).join('\n      ');
+
+  return `<div class="slider" data-slider role="region" aria-roledescription="carrusel" aria-label="Galería de ${images.length} imágenes">
+      <ul class="slider-track" data-slider-track tabindex="0">
+      ${slides}
+      </ul>
+      <button type="button" class="slider-button slider-prev" data-slider-prev aria-label="Imagen anterior" hidden>‹</button>
+      <button type="button" class="slider-button slider-next" data-slider-next aria-label="Imagen siguiente" hidden>›</button>
+      <p class="slider-status" data-slider-status aria-live="polite"></p>
+    </div>`;
+}
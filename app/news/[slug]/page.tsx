@@ -1,38 +1,47 @@
-import Image from 'next/image';
 import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { cache } from 'react';
+import type { Metadata } from 'next';
 import { fetchArticleBySlug, fetchRelatedArticles } from '@/app/lib/api/articles';
+import { withListedAuthor } from '@/app/lib/api/authors';
+import { buildArticleMetadata, getArticleSeo } from '@/app/lib/seo';
 import Header from '@/app/components/layout/Header';
 import Footer from '@/app/components/layout/Footer';
+import BlockRenderer from '@/app/components/blocks/BlockRenderer';
+import ResponsiveImage from '@/app/components/media/ResponsiveImage';
+import MediaFigure from '@/app/components/media/MediaFigure';
+import JsonLd from '@/app/components/seo/JsonLd';
+import { generateParamsWithPlaceholder, isPlaceholderParam, PLACEHOLDER_PARAM } from '@/app/lib/static-params';
 
 export const dynamic = 'force-static';
 export const revalidate = 3600; // Revalidar cada hora si hay tráfico
 
-// Usar tags para revalidación selectiva
-export const generateMetadata = async ({ params }: { params: { slug: string } }) => {
-  return {
-    other: {
-      tags: ['articles', `article-${params.slug}`],
-    },
-  };
+// generateMetadata y la página piden el mismo artículo: una sola petición por render.
+// El autor se toma de la lista de autores, que es la que fija el slug de su página
+const getArticle = cache(async (slug: string) => {
+  const article = await fetchArticleBySlug(slug);
+  return article ? withListedAuthor(article) : null;
+});
+
+// Metadatos del artículo
+export const generateMetadata = async ({ params }: { params: { slug: string } }): Promise<Metadata> => {
+  const article = await getArticle(params.slug);
+  
+  return article ? buildArticleMetadata(article) : { title: 'Artículo no encontrado' };
 };
 
 // Esta función es necesaria para generar rutas estáticas
 export async function generateStaticParams() {
-  try {
+  return generateParamsWithPlaceholder('rutas estáticas de artículos', async () => {
     // Importar la función para obtener todos los slugs
     const { fetchAllArticleSlugs } = await import('@/app/lib/api/articles');
     const slugs = await fetchAllArticleSlugs();
     
-    console.log(`Generando rutas estáticas para ${slugs.length} artículos`);
-    
     // Devolver un array de objetos con el parámetro slug
     return slugs.map((slug: string) => ({
       slug,
     }));
-  } catch (error) {
-    console.error('Error generando rutas estáticas:', error);
-    return [];
-  }
+  }, { slug: PLACEHOLDER_PARAM });
 }
 
 type PageParams = {
@@ -41,7 +50,12 @@ type PageParams = {
 
 export default async function ArticlePage({ params }: { params: PageParams }) {
   const { slug } = params;
-  const article = await fetchArticleBySlug(slug);
+  
+  if (isPlaceholderParam(slug)) {
+    notFound();
+  }
+  
+  const article = await getArticle(slug);
   
   if (!article) {
     return (
@@ -63,27 +77,37 @@ export default async function ArticlePage({ params }: { params: PageParams }) {
   
   return (
     <>
+      <JsonLd data={getArticleSeo(article).jsonLd} />
       <Header />
       <main className="container mx-auto px-4 py-8 max-w-4xl">
         <article className="bg-white shadow-md rounded-lg overflow-hidden">
           {/* Imagen de portada */}
-          <div className="relative w-full h-64 md:h-96">
-            <Image
-              src={article.cover.url.startsWith('http') ? article.cover.url : `${process.env.STRAPI_URL}${article.cover.url}`}
-              alt={article.title}
-              fill
-              className="object-cover"
-              priority
-            />
-          </div>
+          <MediaFigure
+            media={article.cover}
+            sizes="(min-width: 896px) 896px, 100vw"
+            frameClassName="w-full h-64 md:h-96"
+            imageClassName="object-cover"
+            captionClassName="px-6"
+            fill
+            priority
+          />
           
           {/* Contenido del artículo */}
           <div className="p-6">
             <h1 className="text-3xl font-bold mb-4">{article.title}</h1>
             
-            {/* Fecha y categoría */}
+            {/* Autor, fecha y categoría */}
             <div className="flex justify-between items-center mb-6">
               <span className="text-gray-500">
+                {article.author && (
+                  <>
+                    Por{' '}
+                    <Link href={{ pathname: `/author/${article.author.slug}/` }} className="text-blue-600 hover:underline">
+                      {article.author.name}
+                    </Link>
+                    {' · '}
+                  </>
+                )}
                 {new Date(article.publishedAt).toLocaleDateString('es-ES', {
                   day: 'numeric',
                   month: 'long',
@@ -101,10 +125,8 @@ export default async function ArticlePage({ params }: { params: PageParams }) {
             <p className="text-xl text-gray-700 mb-6 font-medium">{article.description}</p>
             
             {/* Contenido principal */}
-            {article.content && (
-              <div className="prose max-w-none">
-                {article.content}
-              </div>
+            {article.blocks && article.blocks.length > 0 && (
+              <BlockRenderer blocks={article.blocks} />
             )}
           </div>
         </article>
@@ -118,9 +140,9 @@ export default async function ArticlePage({ params }: { params: PageParams }) {
                 <Link href={{ pathname: `/news/${relatedArticle.slug}` }} key={relatedArticle.id}>
                   <div className="bg-white shadow-md rounded-lg overflow-hidden hover:shadow-lg transition-shadow duration-300">
                     <div className="relative h-40 w-full">
-                      <Image
-                        src={`${process.env.STRAPI_URL}${relatedArticle.cover.url}`}
-                        alt={relatedArticle.title}
+                      <ResponsiveImage
+                        media={relatedArticle.cover}
+                        sizes="(min-width: 768px) 290px, 100vw"
                         fill
                         className="object-cover"
                       />
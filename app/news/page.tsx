@@ -0,0 +1,18 @@
+import NewsArchiveView from '@/app/components/articles/NewsArchiveView';
+import { buildPageMetadata } from '@/app/lib/seo';
+
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+// Metadatos del archivo de noticias
+export const generateMetadata = async () => {
+  return buildPageMetadata({
+    title: 'Noticias',
+    description: 'Archivo de todas las noticias, de la más reciente a la más antigua.',
+    path: '/news/',
+  });
+};
+
+export default async function NewsPage() {
+  return <NewsArchiveView page={1} />;
+}
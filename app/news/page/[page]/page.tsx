@@ -0,0 +1,46 @@
+import { notFound } from 'next/navigation';
+import NewsArchiveView from '@/app/components/articles/NewsArchiveView';
+import { buildPageMetadata } from '@/app/lib/seo';
+import { generateParamsWithPlaceholder, PLACEHOLDER_PARAM } from '@/app/lib/static-params';
+
+export const dynamic = 'force-static';
+export const revalidate = 3600; // Revalidar cada hora si hay tráfico
+
+// Generar /news/page/2, /news/page/3... según la paginación de Strapi
+// La primera página se sirve desde /news. Al ser un segmento estático,
+// `page` tiene prioridad sobre /news/[slug]
+export async function generateStaticParams() {
+  return generateParamsWithPlaceholder('páginas adicionales del archivo de noticias', async () => {
+    const { fetchArticlesPage } = await import('@/app/lib/api/articles');
+    const { pagination } = await fetchArticlesPage(1);
+    const params: PageParams[] = [];
+    
+    for (let page = 2; page <= pagination.pageCount; page++) {
+      params.push({ page: String(page) });
+    }
+    
+    return params;
+  }, { page: PLACEHOLDER_PARAM });
+}
+
+type PageParams = {
+  page: string;
+};
+
+// Cada página del archivo es canónica de sí misma
+export const generateMetadata = async ({ params }: { params: PageParams }) => {
+  return buildPageMetadata({
+    title: `Noticias - Página ${params.page}`,
+    path: `/news/page/${params.page}/`,
+  });
+};
+
+export default async function NewsPaginatedPage({ params }: { params: PageParams }) {
+  const page = Number(params.page);
+  
+  if (!Number.isInteger(page) || page < 2) {
+    notFound();
+  }
+  
+  return <NewsArchiveView page={page} />;
+}
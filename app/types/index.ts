@@ -1,7 +1,33 @@
-export interface Cover {
+// Variantes que genera Strapi para cada imagen
+export type MediaFormatName = 'thumbnail' | 'small' | 'medium' | 'large';
+
+export interface MediaFormat {
+    url: string;
+    hash?: string;
+    ext?: string;
+    width: number;
+    height: number;
+    mime?: string;
+}
+
+export interface Media {
+    id?: number;
+    name?: string;
     url: string;
+    hash?: string;
+    ext?: string;
+    width?: number | null;
+    height?: number | null;
+    mime?: string;
+    size?: number | null; // Tamaño en KB, como lo devuelve Strapi
+    alternativeText?: string | null;
+    caption?: string | null;
+    formats?: Partial<Record<MediaFormatName, MediaFormat>>;
 }
 
+// La portada de un artículo es un archivo más de la biblioteca de medios
+export type Cover = Media;
+
 export interface NewsParams {
     slug: string;
 }
@@ -15,15 +41,67 @@ export interface Category {
     id: string;
     name: string;
     slug: string;
+    description?: string | null;
+}
+
+export interface Author {
+    id: string;
+    name: string;
+    slug: string;
+    email?: string | null;
+}
+
+// Componentes de la dynamic zone `blocks` de Strapi
+export interface RichTextBlock {
+    __component: 'shared.rich-text';
+    id: number;
+    body: string;
+}
+
+export interface QuoteBlock {
+    __component: 'shared.quote';
+    id: number;
+    title?: string | null;
+    body: string;
 }
 
+export interface MediaBlock {
+    __component: 'shared.media';
+    id: number;
+    file?: Media | null;
+}
+
+export interface SliderBlock {
+    __component: 'shared.slider';
+    id: number;
+    files?: Media[] | null;
+}
+
+export type Block = RichTextBlock | QuoteBlock | MediaBlock | SliderBlock;
+
 export interface Article {
     id: string;
+    documentId?: string;
     title: string;
     description?: string;
-    content?: string;
     slug: string;
     cover: Cover;
     publishedAt: Date;
+    updatedAt?: Date;
     category?: Category | null;
-};
\ No newline at end of file
+    author?: Author | null;
+    blocks?: Block[];
+};
+
+// Metadatos de paginación que devuelve Strapi en `meta.pagination`
+export interface Pagination {
+    page: number;
+    pageSize: number;
+    pageCount: number;
+    total: number;
+}
+
+export interface PaginatedArticles {
+    articles: Article[];
+    pagination: Pagination;
+}
\ No newline at end of file
@@ -11,6 +11,15 @@ const compat = new FlatCompat({
 
 const eslintConfig = [
   ...compat.extends("next/core-web-vitals", "next/typescript"),
+  {
+    rules: {
+      // El export estático desactiva la optimización de next/image
+      // (images.unoptimized), que sin ella solo emite la URL del original. Las
+      // imágenes de Strapi usan <img> con un srcset de sus `formats`
+      // (app/components/media/ResponsiveImage.tsx).
+      "@next/next/no-img-element": "off",
+    },
+  },
 ];
 
 export default eslintConfig;
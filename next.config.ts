@@ -1,7 +1,16 @@
 import type { NextConfig } from "next";
 
+// Servidor de preview para editores (npm run preview): sin export estático, para
+// que funcionen las rutas de API y el modo borrador. El build de S3 no lo activa.
+const isPreviewServer = process.env.NEXT_PREVIEW_SERVER === 'true';
+
+// Las rutas de API (`route.server.ts`) necesitan un servidor: solo se compilan en
+// el servidor de preview. El export estático no admite rutas dinámicas.
+const pageExtensions = ['tsx', 'ts', 'jsx', 'js'];
+
 const nextConfig: NextConfig = {
   reactStrictMode: true,
+  pageExtensions: isPreviewServer ? ['server.ts', ...pageExtensions] : pageExtensions,
   typescript: {
     // Ignorar errores de TypeScript durante la compilación
     ignoreBuildErrors: true,
@@ -16,7 +25,7 @@ const nextConfig: NextConfig = {
     unoptimized: true, // Deshabilitar la optimización de imágenes para compatibilidad con modo export
   },
   // Configurar para exportación estática
-  output: 'export',
+  output: isPreviewServer ? undefined : 'export',
   
   // Directorio de salida para la compilación
   
@@ -29,7 +38,7 @@ const nextConfig: NextConfig = {
     typedRoutes: true,
   },
   // Ajustes para manejo de archivos estáticos
-  distDir: 'out',
+  distDir: isPreviewServer ? '.next' : 'out',
   // Evitar problemas con paths al generar estáticos
   assetPrefix: process.env.NODE_ENV === 'production' ? process.env.ASSET_PREFIX || '' : '',
   // Optimizaciones para generación estática
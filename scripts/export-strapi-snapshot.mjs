@@ -0,0 +1,127 @@
+/**
+ * Exporta el contenido de Strapi a un snapshot local versionado
+ * Guarda artículos, categorías, autores y los metadatos de sus archivos en
+ * snapshots/<versión>/ (o en STRAPI_SNAPSHOT_ROOT / --out). Después se puede
+ * construir el sitio sin CMS con STRAPI_SNAPSHOT=snapshots npm run build.
+ *
+ * Uso: node scripts/export-strapi-snapshot.mjs [--out <carpeta>]
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStrapiClient, StrapiHttpError } from '../app/lib/api/strapi-client.mjs';
+import { paginate, collectPages } from '../app/lib/api/pagination.mjs';
+import { normalizeArticle } from '../app/lib/api/normalize.mjs';
+import { ARTICLE_POPULATE } from '../app/lib/api/queries.mjs';
+import { writeSnapshot } from '../app/lib/api/snapshot.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const rootDir = path.join(path.dirname(__filename), '..');
+
+// Consulta de cada colección: los artículos necesitan el populate profundo de los bloques
+const COLLECTION_QUERIES = {
+  articles: `${ARTICLE_POPULATE}&sort[0]=publishedAt:desc`,
+  categories: 'sort[0]=name:asc',
+  authors: 'populate=*&sort[0]=name:asc',
+};
+
+/**
+ * Lee la carpeta de destino de los argumentos o del entorno
+ * @returns {string}
+ */
+function obtenerCarpetaDestino() {
+  const indice = process.argv.indexOf('--out');
+  if (indice !== -1 && process.argv[indice + 1]) {
+    return process.argv[indice + 1];
+  }
+
+  return process.env.STRAPI_SNAPSHOT_ROOT || path.join(rootDir, 'snapshots');
+}
+
+/**
+ * Descarga todas las entradas de una colección recorriendo todas sus páginas
+ * @param {ReturnType<typeof createStrapiClient>} strapi Cliente de Strapi
+ * @param {string} coleccion Nombre de la colección en la API
+ * @returns {Promise<Array<Object>>}
+ */
+async function exportarColeccion(strapi, coleccion) {
+  const entradas = await collectPages(paginate((pagina, tamanoPagina) => {
+    return strapi.request(
+      `/api/${coleccion}?${COLLECTION_QUERIES[coleccion]}&pagination[page]=${pagina}&pagination[pageSize]=${tamanoPagina}`
+    );
+  }));
+
+  console.log(`📦 ${coleccion}: ${entradas.length} entradas`);
+  return entradas;
+}
+
+/**
+ * Reúne los metadatos de todos los archivos usados por los artículos
+ * (portadas y archivos de los bloques media y slider), sin duplicados
+ * @param {Array<Object>} articulos Artículos crudos de Strapi
+ * @returns {Array<Object>}
+ */
+function reunirMedios(articulos) {
+  const medios = new Map();
+  const añadir = (medio) => {
+    if (medio && !medios.has(medio.url)) {
+      medios.set(medio.url, medio);
+    }
+  };
+
+  for (const articulo of articulos.map(normalizeArticle)) {
+    if (articulo.cover?.id !== undefined) {
+      añadir(articulo.cover);
+    }
+
+    for (const bloque of articulo.blocks || []) {
+      if (bloque.__component === 'shared.media') {
+        añadir(bloque.file);
+      } else if (bloque.__component === 'shared.slider') {
+        bloque.files.forEach(añadir);
+      }
+    }
+  }
+
+  return [...medios.values()];
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  const strapi = createStrapiClient();
+  const destino = obtenerCarpetaDestino();
+
+  console.log(`🚀 Exportando snapshot de ${strapi.baseUrl}...`);
+
+  try {
+    const collections = {
+      articles: await exportarColeccion(strapi, 'articles'),
+      categories: await exportarColeccion(strapi, 'categories'),
+      authors: [],
+    };
+
+    // La colección de autores es opcional en algunos proyectos de Strapi
+    try {
+      collections.authors = await exportarColeccion(strapi, 'authors');
+    } catch (error) {
+      if (!(error instanceof StrapiHttpError && error.status === 404)) {
+        throw error;
+      }
+      console.warn('⚠️ La colección de autores no existe en Strapi, se exporta vacía');
+    }
+
+    const media = reunirMedios(collections.articles);
+    console.log(`📦 media: ${media.length} archivos`);
+
+    const carpeta = writeSnapshot(destino, { collections, media, source: strapi.baseUrl });
+    console.log(`✅ Snapshot guardado en ${path.relative(process.cwd(), carpeta) || carpeta}`);
+  } catch (error) {
+    console.error(`❌ Error al exportar el snapshot: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,74 @@
+/**
+ * Crea un snapshot a partir de la respuesta de artículos de strapi-data.json
+ * Las categorías y los autores se toman de las relaciones de los artículos.
+ * Sirve para construir el sitio sin CMS con el contenido de ejemplo del
+ * repositorio (npm run build:fixture), por ejemplo para comprobar que el export
+ * estático funciona con pocos artículos.
+ *
+ * Uso: node scripts/fixture-snapshot.mjs [--in strapi-data.json] [--out .cache/fixture-snapshot]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { unwrapEntity } from '../app/lib/api/normalize.mjs';
+import { writeSnapshot } from '../app/lib/api/snapshot.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const rootDir = path.join(path.dirname(__filename), '..');
+
+/**
+ * Lee el valor de una opción `--nombre valor`
+ * @param {string} nombre Nombre de la opción
+ * @param {string} porDefecto Valor si no se indica
+ * @returns {string}
+ */
+function leerOpcion(nombre, porDefecto) {
+  const indice = process.argv.indexOf(`--${nombre}`);
+  return indice !== -1 && process.argv[indice + 1] ? process.argv[indice + 1] : porDefecto;
+}
+
+/**
+ * Reúne sin duplicados las entradas de una relación de los artículos
+ * @param {Array<Object>} articulos Artículos crudos de Strapi
+ * @param {string} relacion Nombre de la relación (`category` o `author`)
+ * @returns {Array<Object>}
+ */
+function reunirRelacion(articulos, relacion) {
+  const entradas = new Map();
+
+  for (const articulo of articulos) {
+    const entrada = unwrapEntity(unwrapEntity(articulo)?.[relacion]);
+    if (entrada && !entradas.has(entrada.id)) {
+      entradas.set(entrada.id, entrada);
+    }
+  }
+
+  return [...entradas.values()].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Función principal
+ */
+function main() {
+  const origen = leerOpcion('in', path.join(rootDir, 'strapi-data.json'));
+  const destino = leerOpcion('out', path.join(rootDir, '.cache', 'fixture-snapshot'));
+
+  try {
+    const articulos = JSON.parse(fs.readFileSync(origen, 'utf8')).data || [];
+    const collections = {
+      articles: articulos,
+      categories: reunirRelacion(articulos, 'category'),
+      authors: reunirRelacion(articulos, 'author'),
+    };
+
+    const carpeta = writeSnapshot(destino, { collections, media: [], source: path.relative(rootDir, origen) });
+    console.log(`📦 ${articulos.length} artículos, ${collections.categories.length} categorías y ${collections.authors.length} autores`);
+    console.log(`✅ Snapshot guardado en ${path.relative(process.cwd(), carpeta) || carpeta}`);
+  } catch (error) {
+    console.error(`❌ Error al crear el snapshot de ejemplo: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -16,8 +16,8 @@ const rootDir = path.join(__dirname, '..');
 // Configuración
 const LOG_FILE = path.join(rootDir, 'static-export-logs.txt');
 const API_ROUTES = [
-  path.join(rootDir, 'app/api/webhook/route.ts'),
-  path.join(rootDir, 'app/api/revalidate/route.ts')
+  path.join(rootDir, 'app/api/webhook/route.server.ts'),
+  path.join(rootDir, 'app/api/revalidate/route.server.ts')
 ];
 
 // Función para escribir logs
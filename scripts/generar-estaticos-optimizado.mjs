@@ -12,6 +12,17 @@ import fetch from 'node-fetch';
 import { createServer } from 'http';
 import { createReadStream } from 'fs';
 import { parse as parseUrl } from 'url';
+import { renderMarkdown, escapeHtml } from '../app/lib/utils/markdown.mjs';
+import { paginate, collectPages } from '../app/lib/api/pagination.mjs';
+import { createContentClient } from '../app/lib/api/snapshot.mjs';
+import { normalizeArticle, PLACEHOLDER_IMAGE } from '../app/lib/api/normalize.mjs';
+import { isStrictBuild } from '../app/lib/api/build-mode.mjs';
+import { buildSrcSet, CONTENT_IMAGE_SIZES, getDefaultSource, renderFigureHtml } from '../app/lib/utils/responsive-image.mjs';
+import { getAltText, getCaption } from '../app/lib/utils/alt-text.mjs';
+import { collectArticleMedia, isMediaMirrorEnabled, mirrorMediaFiles, resolveMediaUrl } from '../app/lib/utils/media-mirror.mjs';
+import { ARTICLE_POPULATE } from '../app/lib/api/queries.mjs';
+import { renderSliderHtml, SLIDER_SCRIPT, SLIDER_STYLES } from '../app/lib/utils/slider.mjs';
+import { buildArticleSeo, renderArticleHeadTags } from '../app/lib/utils/seo.mjs';
 
 // Configuración de rutas
 const __filename = fileURLToPath(import.meta.url);
@@ -24,7 +35,10 @@ const LOG_FILE = path.join(rootDir, 'estaticos-logs.txt');
 // Configuración del servidor temporal
 const TEMP_SERVER_PORT = 3123;
 const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1337';
-const STRAPI_API_TOKEN = process.env.STRAPI_API_TOKEN || '';
+
+// Cliente compartido con la aplicación: token, timeouts y reintentos
+// (o el snapshot local indicado en STRAPI_SNAPSHOT)
+const strapi = createContentClient({ fetch, log: (message) => log(message) });
 
 /**
  * Función para escribir logs en un archivo
@@ -41,6 +55,48 @@ function log(message) {
   console.log(message);
 }
 
+/**
+ * Devuelve la URL absoluta de un archivo subido a Strapi
+ * Con MEDIA_MIRROR=true apunta a la copia de out/uploads
+ * @param {string} url URL relativa (/uploads/...) o absoluta
+ * @returns {string}
+ */
+function urlStrapi(url) {
+  return resolveMediaUrl(url, STRAPI_URL);
+}
+
+/**
+ * Descarga a out/uploads los archivos de todos los artículos (MEDIA_MIRROR=true)
+ * @returns {Promise<void>}
+ */
+async function replicarArchivos() {
+  const articulos = await collectPages(paginate((pagina, tamanoPagina) => {
+    return strapi.request(`/api/articles?${ARTICLE_POPULATE}&pagination[page]=${pagina}&pagination[pageSize]=${tamanoPagina}`);
+  }));
+  const archivos = articulos
+    .map(normalizeArticle)
+    .flatMap((articulo) => collectArticleMedia(articulo, PLACEHOLDER_IMAGE));
+  
+  log(`🖼️ Replicando ${archivos.length} archivos de Strapi en out/uploads...`);
+  const resultado = await mirrorMediaFiles(archivos, { outDir, sourceBaseUrl: STRAPI_URL, fetch, log });
+  log(`✅ Archivos replicados: ${resultado.downloaded} descargados, ${resultado.cached} desde la caché`);
+  
+  if (resultado.failed.length > 0 && isStrictBuild()) {
+    throw new Error(`${resultado.failed.length} archivos de Strapi no se pudieron descargar`);
+  }
+}
+
+/**
+ * Genera los atributos `srcset` y `sizes` de una portada normalizada
+ * @param {Object} cover Portada del artículo
+ * @param {string} sizes Ancho que ocupa la imagen en cada breakpoint
+ * @returns {string} Atributos listos para insertar en la etiqueta <img>
+ */
+function atributosResponsive(cover, sizes) {
+  const srcset = buildSrcSet(cover, urlStrapi);
+  return srcset ? ` srcset="${srcset}" sizes="${sizes}"` : '';
+}
+
 /**
  * Crea un directorio si no existe
  * @param {string} dir Directorio a crear
@@ -106,34 +162,31 @@ async function obtenerRutasArticulos() {
   
   // Primero intentamos obtener los artículos directamente desde Strapi
   try {
-    const headers = {};
-    if (STRAPI_API_TOKEN) {
-      headers['Authorization'] = `Bearer ${STRAPI_API_TOKEN}`;
-    }
-    
-    const strapiUrl = `${STRAPI_URL}/api/articles?pagination[limit]=100`;
-    log(`💾 Obteniendo lista de artículos desde Strapi: ${strapiUrl}`);
-    
-    const strapiRes = await fetch(strapiUrl, { headers });
-    log(`📊 Respuesta de Strapi: ${strapiRes.status} ${strapiRes.statusText}`);
-    
-    if (strapiRes.ok) {
-      const data = await strapiRes.json();
-      log(`📊 Datos recibidos de Strapi: ${JSON.stringify(data.meta)}`);
+    // Recorrer todas las páginas: con un único pagination[limit] se perdían artículos
+    const articulosStrapi = await collectPages(paginate(async (pagina, tamanoPagina) => {
+      const strapiPath = `/api/articles?fields[0]=slug&pagination[page]=${pagina}&pagination[pageSize]=${tamanoPagina}`;
+      log(`💾 Obteniendo lista de artículos desde Strapi: ${strapiPath}`);
       
-      if (data.data && data.data.length > 0) {
-        const slugs = data.data.map(articulo => articulo.attributes.slug);
-        log(`📊 Obtenidos ${slugs.length} artículos desde Strapi`);
-        log(`📊 Slugs obtenidos: ${JSON.stringify(slugs)}`);
-        return slugs;
-      } else {
-        log(`⚠️ No se encontraron artículos en Strapi`);
-      }
+      const data = await strapi.request(strapiPath);
+      log(`📊 Datos recibidos de Strapi: ${JSON.stringify(data.meta)}`);
+      return data;
+    }));
+    
+    if (articulosStrapi.length > 0) {
+      const slugs = articulosStrapi.map(articulo => normalizeArticle(articulo).slug);
+      log(`📊 Obtenidos ${slugs.length} artículos desde Strapi`);
+      log(`📊 Slugs obtenidos: ${JSON.stringify(slugs)}`);
+      return slugs;
     } else {
-      log(`⚠️ Error al obtener artículos desde Strapi: ${strapiRes.status} ${strapiRes.statusText}`);
+      log(`⚠️ No se encontraron artículos en Strapi`);
     }
   } catch (error) {
     log(`⚠️ Error al obtener artículos desde Strapi: ${error.message}`);
+    
+    // En modo estricto no se publican rutas inventadas: se aborta la generación
+    if (isStrictBuild()) {
+      throw error;
+    }
   }
   
   // Si no podemos obtener los artículos desde Strapi, intentamos con el manifiesto de Next.js
@@ -244,30 +297,23 @@ async function obtenerContenidoHTML(ruta) {
       const slug = ruta.replace('/news/', '');
       log(`🔍 Obteniendo artículo con slug: ${slug}`);
       
-      // Configurar headers para la API de Strapi
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-      
-      if (STRAPI_API_TOKEN) {
-        headers['Authorization'] = `Bearer ${STRAPI_API_TOKEN}`;
-      }
-      
-      const strapiUrl = `${STRAPI_URL}/api/articles?filters[slug][$eq]=${slug}&populate=*`;
-      log(`💾 Consultando API de Strapi: ${strapiUrl}`);
-      
-      const strapiRes = await fetch(strapiUrl, { headers });
+      const strapiPath = `/api/articles?filters[slug][$eq]=${slug}&${ARTICLE_POPULATE}`;
+      log(`💾 Consultando API de Strapi: ${strapiPath}`);
       
-      if (!strapiRes.ok) {
-        log(`⚠️ Error en la respuesta de Strapi: ${strapiRes.status} ${strapiRes.statusText}`);
+      let data;
+      try {
+        data = await strapi.request(strapiPath);
+      } catch (error) {
+        log(`⚠️ Error en la respuesta de Strapi: ${error.message}`);
+        if (isStrictBuild()) {
+          throw error;
+        }
         return generarHTMLBasico(ruta);
       }
-      
-      const data = await strapiRes.json();
       log(`📊 Datos recibidos de Strapi: ${JSON.stringify(data, null, 2).substring(0, 200)}...`);
       
       if (data.data && data.data.length > 0) {
-        const articulo = data.data[0].attributes;
+        const articulo = normalizeArticle(data.data[0]);
         log(`✅ Artículo encontrado: ${articulo.title}`);
         return generarHTMLArticulo(articulo);
       } else {
@@ -295,23 +341,18 @@ async function obtenerContenidoHTML(ruta) {
     } else if (ruta === '/') {
       // Para la página principal, generamos un HTML con la lista de artículos
       try {
-        const headers = {};
-        if (STRAPI_API_TOKEN) {
-          headers['Authorization'] = `Bearer ${STRAPI_API_TOKEN}`;
-        }
-        
-        const strapiUrl = `${STRAPI_URL}/api/articles?sort=publishedAt:desc&pagination[limit]=10&populate=*`;
-        log(`💾 Obteniendo lista de artículos desde Strapi: ${strapiUrl}`);
+        const strapiPath = `/api/articles?sort=publishedAt:desc&pagination[limit]=10&${ARTICLE_POPULATE}`;
+        log(`💾 Obteniendo lista de artículos desde Strapi: ${strapiPath}`);
         
-        const strapiRes = await fetch(strapiUrl, { headers });
-        if (strapiRes.ok) {
-          const data = await strapiRes.json();
-          if (data.data && data.data.length > 0) {
-            return generarHTMLPaginaPrincipal(data.data);
-          }
+        const data = await strapi.request(strapiPath);
+        if (data.data && data.data.length > 0) {
+          return generarHTMLPaginaPrincipal(data.data.map(normalizeArticle));
         }
       } catch (error) {
         log(`⚠️ Error al obtener artículos para la página principal: ${error.message}`);
+        if (isStrictBuild()) {
+          throw error;
+        }
       }
     }
     
@@ -332,6 +373,9 @@ async function obtenerContenidoHTML(ruta) {
     return generarHTMLBasico(ruta);
   } catch (error) {
     log(`⚠️ Error al obtener contenido HTML: ${error.message}`);
+    if (isStrictBuild()) {
+      throw error;
+    }
     return generarHTMLBasico(ruta);
   }
 }
@@ -357,6 +401,7 @@ function generarHTMLArticulo(articulo) {
   
   // Intentar obtener el contenido del artículo de diferentes propiedades posibles
   let contenido = '';
+  let tieneCarrusel = false;
   try {
     // Verificar diferentes propiedades donde podría estar el contenido
     if (articulo.content) {
@@ -366,7 +411,19 @@ function generarHTMLArticulo(articulo) {
       // Procesar bloques de contenido si existen
       log(`✅ Contenido encontrado en propiedad 'blocks' (${articulo.blocks.length} bloques)`);
       contenido = articulo.blocks.map(bloque => {
-        if (bloque.type === 'paragraph') {
+        // Componentes de la dynamic zone de Strapi
+        if (bloque.__component === 'shared.rich-text') {
+          return renderMarkdown(bloque.body);
+        } else if (bloque.__component === 'shared.quote') {
+          const autor = bloque.title ? `<cite>— ${escapeHtml(bloque.title)}</cite>` : '';
+          return `<blockquote><p>${escapeHtml(bloque.body)}</p>${autor}</blockquote>`;
+        } else if (bloque.__component === 'shared.media') {
+          return renderFigureHtml(bloque.file, { resolveUrl: urlStrapi, sizes: CONTENT_IMAGE_SIZES, className: 'media', imageClassName: 'imagen' });
+        } else if (bloque.__component === 'shared.slider') {
+          const carrusel = renderSliderHtml(bloque.files, { id: `slider-${bloque.id}`, resolveUrl: urlStrapi });
+          tieneCarrusel = tieneCarrusel || carrusel !== '';
+          return carrusel;
+        } else if (bloque.type === 'paragraph') {
           return `<p>${bloque.text || bloque.content || ''}</p>`;
         } else if (bloque.type === 'heading') {
           const nivel = bloque.level || 2;
@@ -396,31 +453,19 @@ function generarHTMLArticulo(articulo) {
   
   // Intentar obtener la imagen del artículo de diferentes propiedades posibles
   let imagen = '';
+  let imagenResponsive = '';
   try {
-    // Verificar si hay imagen en la propiedad 'image'
-    if (articulo.image && articulo.image.data && articulo.image.data.attributes) {
-      imagen = articulo.image.data.attributes.url;
-      log(`✅ Imagen encontrada en propiedad 'image'`);
-    } 
-    // Verificar si hay imagen en la propiedad 'cover'
-    else if (articulo.cover && articulo.cover.url) {
-      imagen = articulo.cover.url;
-      log(`✅ Imagen encontrada en propiedad 'cover'`);
-    }
-    // Verificar si hay imagen en la propiedad 'cover' con estructura anidada
-    else if (articulo.cover && articulo.cover.data && articulo.cover.data.attributes) {
-      imagen = articulo.cover.data.attributes.url;
-      log(`✅ Imagen encontrada en propiedad 'cover.data.attributes'`);
-    }
-    
-    // Si la URL no comienza con http, añadimos la URL base de Strapi
-    if (imagen && !imagen.startsWith('http')) {
-      imagen = `${STRAPI_URL}${imagen}`;
-      log(`✅ URL de imagen completa: ${imagen}`);
+    // Verificar si hay imagen en la propiedad 'cover' (ya normalizada).
+    // Se usa la variante large como src y el resto de formatos en el srcset
+    if (articulo.cover && articulo.cover.url && articulo.cover.url !== PLACEHOLDER_IMAGE) {
+      imagen = urlStrapi(getDefaultSource(articulo.cover).url);
+      imagenResponsive = atributosResponsive(articulo.cover, '(min-width: 800px) 800px, 100vw');
+      log(`✅ Imagen encontrada en propiedad 'cover': ${imagen}`);
     }
   } catch (error) {
     log(`⚠️ Error al procesar la imagen del artículo: ${error.message}`);
     imagen = '';
+    imagenResponsive = '';
   }
   
   // Formatear la fecha de publicación si existe
@@ -440,12 +485,18 @@ function generarHTMLArticulo(articulo) {
     fechaPublicacion = '';
   }
   
+  // Título, descripción, canonical, Open Graph, Twitter y JSON-LD (escapados)
+  const etiquetasSeo = renderArticleHeadTags(buildArticleSeo({ ...articulo, title: titulo }, {
+    resolveUrl: urlStrapi,
+    placeholder: PLACEHOLDER_IMAGE,
+  }));
+  
   return `<!DOCTYPE html>
 <html lang="es">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${titulo}</title>
+  ${etiquetasSeo}
   <link rel="stylesheet" href="/_next/static/css/app.css">
   <style>
     body {
@@ -473,12 +524,23 @@ function generarHTMLArticulo(articulo) {
       font-style: italic;
       margin-bottom: 20px;
     }
+    .portada {
+      margin: 0 0 20px;
+    }
     .imagen {
       max-width: 100%;
       height: auto;
-      margin-bottom: 20px;
       border-radius: 5px;
     }
+    .media {
+      margin: 30px 0;
+    }
+    .portada figcaption,
+    .media figcaption {
+      color: #7f8c8d;
+      font-size: 0.9em;
+      margin-top: 8px;
+    }
     .contenido {
       margin-bottom: 30px;
     }
@@ -493,19 +555,23 @@ function generarHTMLArticulo(articulo) {
     }
     .volver:hover {
       background-color: #2980b9;
-    }
+    }${tieneCarrusel ? SLIDER_STYLES : ''}
   </style>
 </head>
 <body>
   <div id="__next">
     <div class="container">
-      <h1>${titulo}</h1>
-      ${fechaPublicacion ? `<div class="fecha">Publicado el ${fechaPublicacion}</div>` : ''}
-      ${imagen ? `<img class="imagen" src="${imagen}" alt="${titulo}">` : ''}
+      <h1>${escapeHtml(titulo)}</h1>
+      ${fechaPublicacion ? `<div class="fecha">Publicado el ${fechaPublicacion}${articulo.author ? ` por ${escapeHtml(articulo.author.name)}` : ''}</div>` : ''}
+      ${imagen ? `<figure class="portada">
+        <img class="imagen" src="${imagen}"${imagenResponsive} alt="${escapeHtml(getAltText(articulo.cover))}">
+        ${getCaption(articulo.cover) ? `<figcaption>${escapeHtml(getCaption(articulo.cover))}</figcaption>` : ''}
+      </figure>` : ''}
       <div class="contenido">${contenido}</div>
       <a class="volver" href="/">Volver a la página principal</a>
     </div>
   </div>
+  ${tieneCarrusel ? `<script>${SLIDER_SCRIPT}</script>` : ''}
   <script src="/_next/static/chunks/webpack.js" defer></script>
   <script src="/_next/static/chunks/main.js" defer></script>
 </body>
@@ -591,28 +657,26 @@ function generarHTMLPaginaPrincipal(articulos) {
   
   const articulosHTML = articulos.map(articulo => {
     // Verificar que el artículo tenga la estructura esperada
-    if (!articulo || !articulo.attributes) {
+    if (!articulo || !articulo.slug) {
       console.error('Artículo con formato incorrecto:', articulo);
       return '';
     }
     
-    const attr = articulo.attributes;
-    const titulo = attr.title || 'Artículo sin título';
-    const descripcion = attr.description || '';
-    const slug = attr.slug || '';
+    const titulo = articulo.title || 'Artículo sin título';
+    const descripcion = articulo.description || '';
+    const slug = articulo.slug;
     let imagen = '';
+    let imagenResponsive = '';
     
-    if (attr.image && attr.image.data && attr.image.data.attributes) {
-      imagen = attr.image.data.attributes.url;
-      if (imagen && !imagen.startsWith('http')) {
-        imagen = `${STRAPI_URL}${imagen}`;
-      }
+    if (articulo.cover && articulo.cover.url && articulo.cover.url !== PLACEHOLDER_IMAGE) {
+      imagen = urlStrapi(getDefaultSource(articulo.cover).url);
+      imagenResponsive = atributosResponsive(articulo.cover, '(min-width: 768px) 300px, 100vw');
     }
     
     // Formatear la fecha de publicación
     let fechaPublicacion = '';
-    if (attr.publishedAt) {
-      const fecha = new Date(attr.publishedAt);
+    if (articulo.publishedAt) {
+      const fecha = new Date(articulo.publishedAt);
       fechaPublicacion = fecha.toLocaleDateString('es-ES', {
         year: 'numeric',
         month: 'long',
@@ -622,11 +686,11 @@ function generarHTMLPaginaPrincipal(articulos) {
     
     return `
     <div class="articulo">
-      ${imagen ? `<img class="articulo-imagen" src="${imagen}" alt="${titulo}">` : ''}
+      ${imagen ? `<img class="articulo-imagen" src="${imagen}"${imagenResponsive} alt="${escapeHtml(getAltText(articulo.cover))}" loading="lazy">` : ''}
       <div class="articulo-contenido">
-        <h2 class="articulo-titulo"><a href="/news/${slug}">${titulo}</a></h2>
+        <h2 class="articulo-titulo"><a href="/news/${slug}">${escapeHtml(titulo)}</a></h2>
         ${fechaPublicacion ? `<div class="articulo-fecha">Publicado el ${fechaPublicacion}</div>` : ''}
-        <p class="articulo-descripcion">${descripcion}</p>
+        <p class="articulo-descripcion">${escapeHtml(descripcion)}</p>
         <a class="articulo-leer-mas" href="/news/${slug}">Leer más</a>
       </div>
     </div>`;
@@ -768,85 +832,46 @@ async function crearArchivoHTML(ruta) {
     const slug = rutaNormalizada.replace('/news/', '');
     log(`🔍 Generando HTML para artículo con slug: ${slug}`);
     
-    // Configurar headers para la API de Strapi
-    const headers = {
-      'Content-Type': 'application/json',
-    };
-    
-    if (STRAPI_API_TOKEN) {
-      headers['Authorization'] = `Bearer ${STRAPI_API_TOKEN}`;
-    }
-    
-    const strapiUrl = `${STRAPI_URL}/api/articles?filters[slug][$eq]=${slug}&populate=*`;
-    log(`💾 Consultando API de Strapi: ${strapiUrl}`);
+    const strapiPath = `/api/articles?filters[slug][$eq]=${slug}&${ARTICLE_POPULATE}`;
+    log(`💾 Consultando API de Strapi: ${strapiPath}`);
     
     try {
-      const strapiRes = await fetch(strapiUrl, { headers });
+      const data = await strapi.request(strapiPath);
+      log(`📊 Datos recibidos de Strapi: ${JSON.stringify(data.meta)}`);
       
-      if (strapiRes.ok) {
-        const data = await strapiRes.json();
-        log(`📊 Datos recibidos de Strapi: ${JSON.stringify(data.meta)}`);
+      if (data.data && data.data.length > 0) {
+        // El normalizador acepta tanto la forma v4 (attributes) como la v5 (plana)
+        const articulo = normalizeArticle(data.data[0]);
+        log(`✅ Artículo encontrado con ID: ${articulo.id}`);
+        log(`✅ Título del artículo: ${articulo.title || 'Sin título'}`);
         
-        if (data.data && data.data.length > 0) {
-          const articuloData = data.data[0];
-          log(`✅ Artículo encontrado con ID: ${articuloData.id}`);
-          
-          // Verificar si el artículo tiene la estructura esperada
-          if (articuloData.attributes) {
-            // Mostrar la estructura completa del artículo para depuración
-            log(`📊 Estructura del artículo: ${JSON.stringify(articuloData.attributes, null, 2)}`);
-            
-            const articulo = articuloData.attributes;
-            log(`✅ Título del artículo: ${articulo.title || 'Sin título'}`);
-            
-            const contenidoHTML = generarHTMLArticulo(articulo);
-            
-            // Escribir el archivo HTML
-            const nombreArchivo = ruta.endsWith('/') ? `${rutaCompleta}index.html` : `${rutaCompleta}.html`;
-            fs.writeFileSync(nombreArchivo, contenidoHTML);
-            log(`📝 Creado archivo HTML: ${nombreArchivo}`);
-            return;
-          } else if (articuloData.title) {
-            // Si los datos están en la raíz del objeto (no en attributes)
-            log(`📊 Estructura alternativa del artículo: ${JSON.stringify(articuloData, null, 2)}`);
-            
-            // Usar directamente el objeto articuloData como el artículo
-            log(`✅ Título del artículo (estructura alternativa): ${articuloData.title || 'Sin título'}`);
-            
-            const contenidoHTML = generarHTMLArticulo(articuloData);
-            
-            // Escribir el archivo HTML
-            const nombreArchivo = ruta.endsWith('/') ? `${rutaCompleta}index.html` : `${rutaCompleta}.html`;
-            fs.writeFileSync(nombreArchivo, contenidoHTML);
-            log(`📝 Creado archivo HTML: ${nombreArchivo}`);
-            return;
-          } else {
-            log(`⚠️ Estructura de artículo no reconocida: ${JSON.stringify(articuloData, null, 2)}`);
-          }
-        } else {
-          log(`⚠️ No se encontró el artículo con slug: ${slug}`);
-          
-          // Intentar obtener el artículo nuevamente con una consulta diferente
-          log(`🔍 Obteniendo artículo con slug: ${slug}`);
-          const strapiUrlAlt = `${STRAPI_URL}/api/articles?filters[slug][$eq]=${slug}&populate=*`;
-          log(`💾 Consultando API de Strapi: ${strapiUrlAlt}`);
-          
-          const strapiResAlt = await fetch(strapiUrlAlt, { headers });
-          if (strapiResAlt.ok) {
-            const dataAlt = await strapiResAlt.json();
-            log(`📊 Datos recibidos de Strapi (segunda consulta): ${JSON.stringify(dataAlt.meta)}`);
-            
-            if (dataAlt.data && dataAlt.data.length > 0) {
-              // Mostrar los datos completos para depuración
-              log(`📊 Datos completos del artículo: ${JSON.stringify(dataAlt.data[0], null, 2)}`);
-            }
-          }
-          
-          // Generar contenido de ejemplo basado en el slug
-          const tituloGenerado = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-          const articuloGenerado = {
-            title: tituloGenerado,
-            content: `<h2>Acerca de ${tituloGenerado}</h2>
+        const contenidoHTML = generarHTMLArticulo(articulo);
+        
+        // Escribir el archivo HTML
+        const nombreArchivo = ruta.endsWith('/') ? `${rutaCompleta}index.html` : `${rutaCompleta}.html`;
+        fs.writeFileSync(nombreArchivo, contenidoHTML);
+        log(`📝 Creado archivo HTML: ${nombreArchivo}`);
+        return;
+      } else {
+        log(`⚠️ No se encontró el artículo con slug: ${slug}`);
+        
+        // Intentar obtener el artículo nuevamente con una consulta diferente
+        log(`🔍 Obteniendo artículo con slug: ${slug}`);
+        log(`💾 Consultando API de Strapi: ${strapiPath}`);
+        
+        const dataAlt = await strapi.request(strapiPath);
+        log(`📊 Datos recibidos de Strapi (segunda consulta): ${JSON.stringify(dataAlt.meta)}`);
+        
+        if (dataAlt.data && dataAlt.data.length > 0) {
+          // Mostrar los datos completos para depuración
+          log(`📊 Datos completos del artículo: ${JSON.stringify(dataAlt.data[0], null, 2)}`);
+        }
+        
+        // Generar contenido de ejemplo basado en el slug
+        const tituloGenerado = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        const articuloGenerado = {
+          title: tituloGenerado,
+          content: `<h2>Acerca de ${tituloGenerado}</h2>
 <p>Este es un contenido de ejemplo generado automáticamente para el artículo "${tituloGenerado}". Este contenido se muestra porque el artículo no se encontró en la base de datos de Strapi.</p>
 <p>En un entorno de producción, este contenido sería reemplazado por el contenido real del artículo obtenido desde Strapi CMS.</p>
 <h3>Características principales</h3>
@@ -857,22 +882,23 @@ async function crearArchivoHTML(ruta) {
   <li>Optimización para SEO</li>
 </ul>
 <p>Este sistema permite mantener un sitio web estático que se actualiza automáticamente cuando se publican nuevos contenidos en el CMS.</p>`,
-            publishedAt: new Date().toISOString(),
-            image: null
-          };
-          const contenidoHTML = generarHTMLArticulo(articuloGenerado);
-          
-          // Escribir el archivo HTML
-          const nombreArchivo = ruta.endsWith('/') ? `${rutaCompleta}index.html` : `${rutaCompleta}.html`;
-          fs.writeFileSync(nombreArchivo, contenidoHTML);
-          log(`📝 Creado archivo HTML: ${nombreArchivo}`);
-          return;
-        }
-      } else {
-        log(`⚠️ Error en la respuesta de Strapi: ${strapiRes.status} ${strapiRes.statusText}`);
+          publishedAt: new Date().toISOString(),
+          image: null
+        };
+        const contenidoHTML = generarHTMLArticulo(articuloGenerado);
+        
+        // Escribir el archivo HTML
+        const nombreArchivo = ruta.endsWith('/') ? `${rutaCompleta}index.html` : `${rutaCompleta}.html`;
+        fs.writeFileSync(nombreArchivo, contenidoHTML);
+        log(`📝 Creado archivo HTML: ${nombreArchivo}`);
+        return;
       }
     } catch (error) {
       log(`⚠️ Error al obtener artículo desde Strapi: ${error.message}`);
+      
+      if (isStrictBuild()) {
+        throw error;
+      }
     }
   }
   
@@ -893,6 +919,9 @@ async function main() {
   
   try {
     log('🚀 Iniciando generación de archivos estáticos para S3...');
+    if (isStrictBuild()) {
+      log('🔒 Modo estricto: cualquier fallo al obtener datos de Strapi abortará la generación');
+    }
     
     // Limpiar el directorio de salida si existe
     if (fs.existsSync(outDir)) {
@@ -921,38 +950,32 @@ async function main() {
     // Primero obtenemos los artículos para la página principal
     let articulosParaPrincipal = [];
     try {
-      const headers = {};
-      if (STRAPI_API_TOKEN) {
-        headers['Authorization'] = `Bearer ${STRAPI_API_TOKEN}`;
-      }
-      
-      const strapiUrl = `${STRAPI_URL}/api/articles?sort=publishedAt:desc&pagination[limit]=10&populate=*`;
-      log(`💾 Obteniendo lista de artículos para la página principal desde Strapi: ${strapiUrl}`);
+      const strapiPath = `/api/articles?sort=publishedAt:desc&pagination[limit]=10&${ARTICLE_POPULATE}`;
+      log(`💾 Obteniendo lista de artículos para la página principal desde Strapi: ${strapiPath}`);
       
-      const strapiRes = await fetch(strapiUrl, { headers });
-      if (strapiRes.ok) {
-        const data = await strapiRes.json();
-        if (data.data && data.data.length > 0) {
-          articulosParaPrincipal = data.data;
-          log(`✅ Obtenidos ${articulosParaPrincipal.length} artículos para la página principal`);
-        } else {
-          log('⚠️ No se encontraron artículos en Strapi para la página principal');
-        }
+      const data = await strapi.request(strapiPath);
+      if (data.data && data.data.length > 0) {
+        articulosParaPrincipal = data.data.map(normalizeArticle);
+        log(`✅ Obtenidos ${articulosParaPrincipal.length} artículos para la página principal`);
+      } else {
+        log('⚠️ No se encontraron artículos en Strapi para la página principal');
       }
     } catch (error) {
       log(`⚠️ Error al obtener artículos para la página principal: ${error.message}`);
+      
+      if (isStrictBuild()) {
+        throw error;
+      }
     }
     
     // Si no hay artículos en Strapi, usamos los slugs de las rutas para generar una lista de artículos
     if (articulosParaPrincipal.length === 0) {
       const articulos = await obtenerRutasArticulos();
       articulosParaPrincipal = articulos.map(slug => ({
-        attributes: {
-          title: slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-          slug: slug,
-          description: `Descripción del artículo ${slug.replace(/-/g, ' ')}`,
-          publishedAt: new Date().toISOString()
-        }
+        title: slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+        slug: slug,
+        description: `Descripción del artículo ${slug.replace(/-/g, ' ')}`,
+        publishedAt: new Date().toISOString()
       }));
       log(`✅ Generados ${articulosParaPrincipal.length} artículos de muestra para la página principal`);
     }
@@ -999,6 +1022,10 @@ async function main() {
       }
     }
     
+    if (isMediaMirrorEnabled()) {
+      await replicarArchivos();
+    }
+    
     log('✅ Archivos estáticos generados exitosamente en la carpeta out');
     log(`📊 Total de archivos HTML generados: ${fs.readdirSync(outDir, { recursive: true }).filter(f => f.endsWith('.html')).length}`);
     log('📊 Puedes usar el script upload-to-s3.js para subir estos archivos a S3');
@@ -0,0 +1,80 @@
+/**
+ * Genera sitemap.xml, el sitemap de Google News y robots.txt en out/
+ * Se ejecuta después del build (postbuild) para que upload-to-s3.js los publique
+ * junto al sitio. Lee el contenido de Strapi o del snapshot de STRAPI_SNAPSHOT.
+ *
+ * Uso: NEXT_PUBLIC_SITE_URL=https://... node scripts/generate-sitemap.mjs
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { createContentClient } from '../app/lib/api/snapshot.mjs';
+import { paginate, collectPages } from '../app/lib/api/pagination.mjs';
+import { dedupeAuthorSlugs, normalizeArticle, normalizeAuthor, normalizeCategory } from '../app/lib/api/normalize.mjs';
+import { isStrictBuild } from '../app/lib/api/build-mode.mjs';
+import { writeSitemaps } from '../app/lib/utils/sitemap.mjs';
+import { getSiteName } from '../app/lib/utils/seo.mjs';
+
+const OUT_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), 'out');
+const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || '';
+
+// Solo los campos que necesitan los sitemaps
+const ARTICLE_FIELDS = [
+  'fields[0]=slug',
+  'fields[1]=title',
+  'fields[2]=publishedAt',
+  'fields[3]=updatedAt',
+  'populate[category]=true',
+  'populate[author]=true',
+].join('&');
+
+/**
+ * Lee todas las entradas de una colección de Strapi
+ * @param {{ request: Function }} strapi Cliente de contenido
+ * @param {string} coleccion Ruta de la colección, p. ej. `/api/articles`
+ * @param {string} consulta Parámetros de consulta adicionales
+ */
+async function leerColeccion(strapi, coleccion, consulta) {
+  return collectPages(paginate((pagina, tamanoPagina) => {
+    return strapi.request(`${coleccion}?${consulta}&pagination[page]=${pagina}&pagination[pageSize]=${tamanoPagina}`);
+  }));
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  if (!SITE_URL) {
+    // Los sitemaps exigen URLs absolutas
+    console.error('❌ NEXT_PUBLIC_SITE_URL no está definida: no se generan los sitemaps');
+    process.exit(isStrictBuild() ? 1 : 0);
+  }
+
+  const strapi = createContentClient();
+
+  try {
+    const [articulos, categorias, autores] = await Promise.all([
+      leerColeccion(strapi, '/api/articles', ARTICLE_FIELDS),
+      leerColeccion(strapi, '/api/categories', 'sort[0]=name:asc'),
+      leerColeccion(strapi, '/api/authors', 'sort[0]=name:asc'),
+    ]);
+
+    const resultado = writeSitemaps({
+      articles: articulos.map(normalizeArticle),
+      categories: categorias.map(normalizeCategory),
+      authors: dedupeAuthorSlugs(autores.map(normalizeAuthor)),
+    }, {
+      outDir: OUT_DIR,
+      siteUrl: SITE_URL,
+      publicationName: getSiteName(),
+    });
+
+    console.log(`🗺️ Sitemap con ${resultado.urls} URLs y ${resultado.news} noticias recientes`);
+    console.log(`✅ Archivos generados en ${OUT_DIR}: ${resultado.files.join(', ')}`);
+  } catch (error) {
+    console.error(`❌ Error al generar los sitemaps: ${error.message}`);
+    process.exit(isStrictBuild() ? 1 : 0);
+  }
+}
+
+main();
@@ -9,8 +9,7 @@ const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
-const http = require('http');
-const https = require('https');
+const { pathToFileURL } = require('url');
 
 // Promisificar exec con opciones personalizadas
 const execPromise = (cmd, options = {}) => {
@@ -76,41 +75,152 @@ async function runCommand(command, name) {
 }
 
 /**
- * Función para hacer peticiones HTTP/HTTPS
- * @param {string} url URL a la que hacer la petición
- * @returns {Promise<Object>} Respuesta de la petición
+ * Carga el renderizador de Markdown compartido con la aplicación Next.js
+ * (es un módulo ESM, por eso se importa de forma dinámica)
+ * @returns {Promise<Object>} Módulo con renderMarkdown y escapeHtml
  */
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-    
-    client.get(url, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const parsedData = JSON.parse(data);
-          resolve(parsedData);
-        } catch (e) {
-          reject(new Error(`Error al parsear la respuesta: ${e.message}`));
-        }
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
+function loadMarkdownRenderer() {
+  return importAppModule('app/lib/utils/markdown.mjs');
+}
+
+/**
+ * Carga los renderizadores de imágenes compartidos con la aplicación (carrusel
+ * de los bloques shared.slider e imágenes responsive de los bloques
+ * shared.media), junto con la resolución de URLs de archivos (Strapi o réplica
+ * en out/uploads)
+ * @returns {Promise<Object>} Módulo con renderSliderHtml, SLIDER_SCRIPT, SLIDER_STYLES, renderFigureHtml, CONTENT_IMAGE_SIZES y resolveUrl
+ */
+async function loadMediaRenderer() {
+  const slider = await importAppModule('app/lib/utils/slider.mjs');
+  const { renderFigureHtml, CONTENT_IMAGE_SIZES } = await importAppModule('app/lib/utils/responsive-image.mjs');
+  const { resolveMediaUrl } = await importAppModule('app/lib/utils/media-mirror.mjs');
+  const strapiUrl = process.env.STRAPI_URL || 'http://localhost:1337';
+  
+  return { ...slider, renderFigureHtml, CONTENT_IMAGE_SIZES, resolveUrl: (url) => resolveMediaUrl(url, strapiUrl) };
+}
+
+/**
+ * Carga los metadatos SEO compartidos con la aplicación (Open Graph, Twitter
+ * y JSON-LD), con la portada por defecto que no debe compartirse
+ * @returns {Promise<Object>} Módulo con buildArticleSeo, renderArticleHeadTags y PLACEHOLDER_IMAGE
+ */
+async function loadSeo() {
+  const seo = await importAppModule('app/lib/utils/seo.mjs');
+  const { PLACEHOLDER_IMAGE } = await importAppModule('app/lib/api/normalize.mjs');
+  
+  return { ...seo, PLACEHOLDER_IMAGE };
+}
+
+/**
+ * Descarga a out/uploads los archivos de los artículos (MEDIA_MIRROR=true)
+ * Con la réplica activa las páginas enlazan a /uploads, así que los archivos
+ * tienen que estar en out/ antes de la subida a S3.
+ * @param {Array<Object>} articles Artículos normalizados
+ * @param {string} outputDir Directorio de salida
+ */
+async function mirrorArticleMedia(articles, outputDir) {
+  const { collectArticleMedia, isMediaMirrorEnabled, mirrorMediaFiles } = await importAppModule('app/lib/utils/media-mirror.mjs');
+  const { PLACEHOLDER_IMAGE } = await importAppModule('app/lib/api/normalize.mjs');
+  const { isStrictBuild } = await importAppModule('app/lib/api/build-mode.mjs');
+  
+  if (!isMediaMirrorEnabled()) {
+    return;
+  }
+  
+  const files = articles.flatMap((article) => collectArticleMedia(article, PLACEHOLDER_IMAGE));
+  log(`🖼️ Replicando ${files.length} archivos de Strapi en out/uploads...`);
+  
+  const result = await mirrorMediaFiles(files, {
+    outDir: outputDir,
+    sourceBaseUrl: process.env.STRAPI_URL || 'http://localhost:1337',
+    log,
   });
+  log(`✅ Archivos replicados: ${result.downloaded} descargados, ${result.cached} desde la caché`);
+  
+  if (result.failed.length > 0) {
+    log(`⚠️ ${result.failed.length} archivos no se pudieron descargar`);
+    if (isStrictBuild()) {
+      throw new Error(`${result.failed.length} archivos de Strapi no se pudieron descargar`);
+    }
+  }
+}
+
+/**
+ * Importa un módulo ESM compartido con la aplicación Next.js
+ * @param {string} relativePath Ruta del módulo relativa a la raíz del proyecto
+ * @returns {Promise<Object>} Módulo importado
+ */
+function importAppModule(relativePath) {
+  const modulePath = path.join(__dirname, '..', relativePath);
+  return import(pathToFileURL(modulePath).href);
+}
+
+/**
+ * Obtiene todos los artículos de Strapi recorriendo todas las páginas
+ * Usa el cliente compartido (token, timeouts y reintentos)
+ * @returns {Promise<Array<Object>>} Lista completa de artículos ya normalizados
+ */
+async function fetchAllArticles() {
+  const { paginate, collectPages } = await importAppModule('app/lib/api/pagination.mjs');
+  const { createContentClient } = await importAppModule('app/lib/api/snapshot.mjs');
+  const { normalizeArticle } = await importAppModule('app/lib/api/normalize.mjs');
+  const { ARTICLE_POPULATE } = await importAppModule('app/lib/api/queries.mjs');
+  const strapi = createContentClient({ log });
+  
+  log(`🔗 URL de Strapi: ${strapi.baseUrl}`);
+  
+  const articles = await collectPages(paginate((page, pageSize) => {
+    const articlesPath = `/api/articles?${ARTICLE_POPULATE}&pagination[page]=${page}&pagination[pageSize]=${pageSize}`;
+    log(`🔗 Consultando: ${articlesPath}`);
+    return strapi.request(articlesPath);
+  }));
+  
+  return articles.map(normalizeArticle);
+}
+
+/**
+ * Genera el HTML del cuerpo de un artículo a partir de sus bloques
+ * @param {Object} article Artículo de Strapi
+ * @param {Object} markdown Módulo del renderizador de Markdown
+ * @param {Object} media Renderizadores de imágenes (loadMediaRenderer)
+ * @returns {string} HTML del contenido
+ */
+function renderArticleContent(article, markdown, media) {
+  if (!Array.isArray(article.blocks) || article.blocks.length === 0) {
+    return '<p>Sin contenido</p>';
+  }
+  
+  return article.blocks.map((block) => {
+    if (block.__component === 'shared.rich-text') {
+      return markdown.renderMarkdown(block.body);
+    }
+    
+    if (block.__component === 'shared.quote') {
+      const author = block.title ? `<cite>— ${markdown.escapeHtml(block.title)}</cite>` : '';
+      return `<blockquote><p>${markdown.escapeHtml(block.body)}</p>${author}</blockquote>`;
+    }
+    
+    if (block.__component === 'shared.media') {
+      return media.renderFigureHtml(block.file, { resolveUrl: media.resolveUrl, sizes: media.CONTENT_IMAGE_SIZES });
+    }
+    
+    if (block.__component === 'shared.slider') {
+      return media.renderSliderHtml(block.files, { id: `slider-${block.id}`, resolveUrl: media.resolveUrl });
+    }
+    
+    return '';
+  }).join('\n');
 }
 
 /**
  * Crea un archivo HTML para un artículo
  * @param {Object} article Artículo de Strapi
  * @param {string} outputDir Directorio de salida
+ * @param {Object} markdown Módulo del renderizador de Markdown
+ * @param {Object} media Renderizadores de imágenes (loadMediaRenderer)
+ * @param {Object} seo Módulo de metadatos SEO
  */
-function createArticleHtml(article, outputDir) {
+function createArticleHtml(article, outputDir, markdown, media, seo) {
   // Imprimir información detallada del artículo para depuración
   log(`📋 Procesando artículo: ${JSON.stringify(article).substring(0, 200)}...`);
   log(`🔑 Propiedades del artículo: ${Object.keys(article).join(', ')}`);
@@ -124,7 +234,12 @@ function createArticleHtml(article, outputDir) {
   
   const slug = article.slug;
   const title = article.title || 'Artículo sin título';
-  const content = article.content || '<p>Sin contenido</p>';
+  const content = renderArticleContent(article, markdown, media);
+  const headTags = seo.renderArticleHeadTags(seo.buildArticleSeo({ ...article, title }, {
+    resolveUrl: media.resolveUrl,
+    placeholder: seo.PLACEHOLDER_IMAGE,
+  }));
+  const hasSlider = (article.blocks || []).some((block) => block.__component === 'shared.slider');
   const publishedAt = article.publishedAt 
     ? new Date(article.publishedAt).toLocaleDateString('es-ES', {
         day: '2-digit',
@@ -144,13 +259,9 @@ function createArticleHtml(article, outputDir) {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title} - Noticias</title>
+  ${headTags}
   <link rel="stylesheet" href="/_next/static/css/styles.css">
-  <meta property="og:title" content="${title}">
-  <meta property="og:description" content="${article.description || 'Artículo de noticias'}">
-  <meta property="og:type" content="article">
-  <meta property="og:url" content="${process.env.NEXT_PUBLIC_SITE_URL || ''}/news/${slug}">
-  <meta name="twitter:card" content="summary_large_image">
+  ${hasSlider ? `<style>${media.SLIDER_STYLES}</style>` : ''}
 </head>
 <body>
   <header>
@@ -158,8 +269,9 @@ function createArticleHtml(article, outputDir) {
       <a href="/">Inicio</a>
       <a href="/news">Noticias</a>
     </nav>
-    <h1>${title}</h1>
+    <h1>${markdown.escapeHtml(title)}</h1>
     <p>Fecha de publicación: ${publishedAt}</p>
+    ${article.author ? `<p>Por ${markdown.escapeHtml(article.author.name)}</p>` : ''}
   </header>
   <main>
     <article>
@@ -169,6 +281,7 @@ function createArticleHtml(article, outputDir) {
   <footer>
     <p>&copy; ${new Date().getFullYear()} - Widook</p>
   </footer>
+  ${hasSlider ? `<script>${media.SLIDER_SCRIPT}</script>` : ''}
   <script src="/_next/static/js/main.js"></script>
 </body>
 </html>
@@ -285,13 +398,8 @@ async function main() {
     
     // 2. Obtener artículos de Strapi
     log('📰 Obteniendo artículos de Strapi...');
-    const strapiUrl = process.env.STRAPI_URL || 'http://localhost:1337';
-    const articlesUrl = `${strapiUrl}/api/articles?populate=*`;
-    
-    log(`🔗 URL de Strapi: ${articlesUrl}`);
-    
     try {
-      const articlesData = await fetchUrl(articlesUrl);
+      const articlesData = { data: await fetchAllArticles() };
       
       // Imprimir la estructura de datos para depuración
       log('📝 Estructura de datos recibida de Strapi:');
@@ -314,10 +422,16 @@ async function main() {
         createStaticFiles(outDir);
         
         // 4. Generar HTML para cada artículo
+        const markdown = await loadMarkdownRenderer();
+        const media = await loadMediaRenderer();
+        const seo = await loadSeo();
         for (const article of articles) {
-          createArticleHtml(article, outDir);
+          createArticleHtml(article, outDir, markdown, media, seo);
         }
         
+        // Con MEDIA_MIRROR=true las páginas enlazan a out/uploads
+        await mirrorArticleMedia(articles, outDir);
+        
         // 5. Subir archivos a S3
         log('📤 Iniciando subida de archivos estáticos a S3...');
         await runCommand('UPLOAD_DIR="./out" node scripts/upload-to-s3.js', 'Subida a S3');
@@ -0,0 +1,59 @@
+/**
+ * Replica en out/uploads los archivos de Strapi que usan los artículos
+ * Se ejecuta después del build (postbuild) cuando MEDIA_MIRROR=true, para que
+ * el sitio publicado en S3 no enlace al host del CMS. Lee los artículos de
+ * Strapi o del snapshot de STRAPI_SNAPSHOT.
+ *
+ * Uso: MEDIA_MIRROR=true node scripts/mirror-uploads.mjs
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { createContentClient } from '../app/lib/api/snapshot.mjs';
+import { paginate, collectPages } from '../app/lib/api/pagination.mjs';
+import { normalizeArticle, PLACEHOLDER_IMAGE } from '../app/lib/api/normalize.mjs';
+import { ARTICLE_POPULATE } from '../app/lib/api/queries.mjs';
+import { isStrictBuild } from '../app/lib/api/build-mode.mjs';
+import { collectArticleMedia, isMediaMirrorEnabled, mirrorMediaFiles } from '../app/lib/utils/media-mirror.mjs';
+
+const OUT_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), 'out');
+
+/**
+ * Función principal
+ */
+async function main() {
+  if (!isMediaMirrorEnabled()) {
+    console.log('ℹ️ MEDIA_MIRROR no está activo: las imágenes se sirven desde Strapi');
+    return;
+  }
+
+  const strapi = createContentClient();
+
+  try {
+    const articulos = (await collectPages(paginate((pagina, tamanoPagina) => {
+      return strapi.request(`/api/articles?${ARTICLE_POPULATE}&pagination[page]=${pagina}&pagination[pageSize]=${tamanoPagina}`);
+    }))).map(normalizeArticle);
+
+    const archivos = articulos.flatMap((articulo) => collectArticleMedia(articulo, PLACEHOLDER_IMAGE));
+    console.log(`🖼️ Replicando archivos de ${articulos.length} artículos en ${OUT_DIR}/uploads...`);
+
+    const resultado = await mirrorMediaFiles(archivos, {
+      outDir: OUT_DIR,
+      sourceBaseUrl: process.env.STRAPI_URL || 'http://localhost:1337',
+    });
+
+    console.log(`✅ Archivos replicados: ${resultado.downloaded} descargados, ${resultado.cached} desde la caché`);
+
+    if (resultado.failed.length > 0) {
+      console.warn(`⚠️ ${resultado.failed.length} archivos no se pudieron descargar`);
+      if (isStrictBuild()) {
+        process.exit(1);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error al replicar los archivos de Strapi: ${error.message}`);
+    process.exit(isStrictBuild() ? 1 : 0);
+  }
+}
+
+main();
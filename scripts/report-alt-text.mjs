@@ -0,0 +1,60 @@
+/**
+ * Informe de imágenes sin texto alternativo
+ * Recorre todos los artículos (de Strapi o del snapshot de STRAPI_SNAPSHOT) y
+ * lista las portadas y archivos de bloques que no tienen `alternativeText`.
+ * Se ejecuta antes de cada build (prebuild); con --fail termina con error si
+ * encuentra alguna imagen sin texto alternativo.
+ *
+ * Uso: node scripts/report-alt-text.mjs [--fail]
+ */
+
+import 'dotenv/config';
+import { createContentClient } from '../app/lib/api/snapshot.mjs';
+import { paginate, collectPages } from '../app/lib/api/pagination.mjs';
+import { normalizeArticle, PLACEHOLDER_IMAGE } from '../app/lib/api/normalize.mjs';
+import { ARTICLE_POPULATE } from '../app/lib/api/queries.mjs';
+import { isStrictBuild } from '../app/lib/api/build-mode.mjs';
+import { findImagesWithoutAlt } from '../app/lib/utils/alt-text.mjs';
+
+/**
+ * Función principal
+ */
+async function main() {
+  const strapi = createContentClient();
+  let articulos;
+
+  try {
+    const entradas = await collectPages(paginate((pagina, tamanoPagina) => {
+      return strapi.request(`/api/articles?${ARTICLE_POPULATE}&pagination[page]=${pagina}&pagination[pageSize]=${tamanoPagina}`);
+    }));
+    articulos = entradas.map(normalizeArticle);
+  } catch (error) {
+    console.error(`❌ No se pudo generar el informe de texto alternativo: ${error.message}`);
+    // Fuera del modo estricto el informe no debe bloquear el build
+    process.exit(isStrictBuild() ? 1 : 0);
+  }
+
+  const informe = articulos
+    .map((articulo) => ({ slug: articulo.slug, imagenes: findImagesWithoutAlt(articulo, PLACEHOLDER_IMAGE) }))
+    .filter((entrada) => entrada.imagenes.length > 0);
+
+  if (informe.length === 0) {
+    console.log(`✅ Todas las imágenes de ${articulos.length} artículos tienen texto alternativo`);
+    return;
+  }
+
+  const total = informe.reduce((suma, entrada) => suma + entrada.imagenes.length, 0);
+  console.warn(`⚠️ ${total} imágenes sin texto alternativo en ${informe.length} de ${articulos.length} artículos:`);
+  for (const { slug, imagenes } of informe) {
+    console.warn(`  - ${slug}`);
+    for (const imagen of imagenes) {
+      console.warn(`      ${imagen.location}: ${imagen.url}`);
+    }
+  }
+
+  if (process.argv.includes('--fail')) {
+    process.exit(1);
+  }
+}
+
+main();
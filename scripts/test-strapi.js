@@ -2,49 +2,30 @@
  * Script para probar la conexión con Strapi y entender la estructura de datos
  */
 require('dotenv').config();
-const http = require('http');
-const https = require('https');
 const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
 
-// URL de Strapi
-const strapiUrl = process.env.STRAPI_URL || 'http://localhost:1337';
-const articlesUrl = `${strapiUrl}/api/articles?populate=*`;
-
-console.log(`Conectando a Strapi en: ${articlesUrl}`);
+// Ruta de artículos en Strapi
+const articlesPath = '/api/articles?populate=*';
 
 /**
- * Función para hacer peticiones HTTP/HTTPS
+ * Crea el cliente de Strapi compartido con la aplicación (módulo ESM)
  */
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-    
-    client.get(url, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const parsedData = JSON.parse(data);
-          resolve(parsedData);
-        } catch (e) {
-          reject(new Error(`Error al parsear la respuesta: ${e.message}`));
-        }
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
-  });
+async function createClient() {
+  const modulePath = path.join(__dirname, '..', 'app', 'lib', 'api', 'strapi-client.mjs');
+  const { createStrapiClient } = await import(pathToFileURL(modulePath).href);
+  return createStrapiClient();
 }
 
 // Función principal
 async function main() {
   try {
+    const strapi = await createClient();
+    console.log(`Conectando a Strapi en: ${strapi.baseUrl}${articlesPath}`);
+    
     console.log('Obteniendo datos de Strapi...');
-    const data = await fetchUrl(articlesUrl);
+    const data = await strapi.request(articlesPath);
     
     console.log('Datos recibidos de Strapi:');
     
@@ -88,7 +69,7 @@ async function main() {
       console.log('No se encontraron artículos o formato inesperado');
     }
   } catch (error) {
-    console.error(`Error: ${error.message}`);
+    console.error(`Error (${error.name}): ${error.message}`);
   }
 }
 
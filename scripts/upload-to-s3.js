@@ -2,15 +2,25 @@
  * Script para subir archivos estáticos a S3
  * Este script toma los archivos generados por Next.js en la carpeta 'out'
  * y los sube a un bucket de S3
+ *
+ * Opciones:
+ *   --prune    Borra del bucket los archivos que ya no están en el export
+ *   --dry-run  Muestra el plan (archivos a subir, modificar y borrar) sin tocar S3
+ *   --json     Escribe el plan en JSON por la salida estándar
+ *   --preset=<news|full>  Archivos a subir: lo que cambia al publicar noticias (por defecto) o el sitio completo
+ *   --include=<glob>      Añade un patrón de inclusión (se puede repetir)
+ *   --exclude=<glob>      Añade un patrón de exclusión (se puede repetir)
+ *   --config=<ruta>       Archivo de configuración (por defecto upload.config.json), que
+ *                         también admite reglas de Cache-Control por ruta
  */
 
 // Cargar variables de entorno desde el archivo .env
 require('dotenv').config();
 
 const { S3Client } = require('@aws-sdk/client-s3');
-const { Upload } = require('@aws-sdk/lib-storage');
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const mime = require('mime-types');
 
 // Configuración de AWS
@@ -29,6 +39,19 @@ const OUT_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), 'out');
 // Prefijo para los archivos en S3 (opcional)
 const S3_PREFIX = process.env.AWS_S3_PREFIX || '';
 
+// Opciones de línea de comandos
+const args = process.argv.slice(2);
+// Borrar del bucket lo que ya no está en el export (--prune o S3_PRUNE=true)
+const PRUNE = args.includes('--prune') || process.env.S3_PRUNE === 'true';
+// Proporción máxima de objetos que puede borrar una ejecución (por defecto 20%)
+const PRUNE_MAX_RATIO = process.env.S3_PRUNE_MAX_RATIO ? Number(process.env.S3_PRUNE_MAX_RATIO) : undefined;
+// Mostrar el plan (lo que se subiría y borraría) sin tocar el bucket
+const DRY_RUN = args.includes('--dry-run');
+// Escribir el plan en JSON por la salida estándar (los logs pasan a la de errores)
+const JSON_OUTPUT = args.includes('--json');
+// Archivo con el preset y los patrones de inclusión y exclusión
+const UPLOAD_CONFIG = getArgValues('config').pop() || process.env.UPLOAD_CONFIG || path.join(process.cwd(), 'upload.config.json');
+
 // Configuración de logs
 const LOG_FILE = path.join(process.cwd(), 'webhook-deploy-logs.txt');
 
@@ -43,122 +66,120 @@ function log(message) {
   // Escribir en el archivo de logs
   fs.appendFileSync(LOG_FILE, logMessage);
   
-  // También mostrar en consola
-  console.log(message);
+  // También mostrar en consola (con --json, por stderr para no mezclarlo con el plan)
+  if (JSON_OUTPUT) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
 }
 
 /**
- * Sube un archivo a S3
+ * Describe cómo debe servirse un archivo desde S3
  * @param {string} filePath Ruta local del archivo
- * @param {string} s3Key Clave en S3 donde se subirá el archivo
- * @param {Object} metadata Metadatos adicionales para el archivo
+ * @param {string} relativePath Ruta relativa al directorio de salida
+ * @param {Function} cachePolicy Política de caché (app/lib/aws/cache-policy.mjs)
+ * @returns {{ contentType: string, cacheControl: string, cacheRule: string, contentDisposition?: string }}
  */
-async function uploadFileToS3(filePath, s3Key, metadata = {}) {
-  const fileContent = fs.readFileSync(filePath);
-  const contentType = metadata.ContentType || mime.lookup(filePath) || 'application/octet-stream';
+function describeFile(filePath, relativePath, cachePolicy) {
+  const contentType = mime.lookup(filePath) || 'application/octet-stream';
+  const { cacheControl, rule } = cachePolicy(relativePath, contentType);
+  const metadata = { contentType, cacheControl, cacheRule: rule };
   
-  try {
-    const params = {
-      Bucket: BUCKET_NAME,
-      Key: s3Key,
-      Body: fileContent,
-      ContentType: contentType,
-      // Configurar el caché para archivos estáticos
-      CacheControl: metadata.CacheControl || (
-        contentType.includes('image/') 
-          ? 'public, max-age=31536000, immutable' // 1 año para imágenes
-          : contentType.includes('text/html')
-            ? 'public, max-age=0, must-revalidate' // Sin caché para HTML
-            : 'public, max-age=604800' // 1 semana para otros archivos
-      ),
-    };
-    
-    // Si es un archivo HTML, configurar para que se pueda visualizar directamente
-    if (contentType === 'text/html') {
-      params.ContentDisposition = 'inline';
-    }
-    
-    const upload = new Upload({
-      client: s3Client,
-      params: params,
-    });
-
-    await upload.done();
-    log(`✅ Archivo subido: ${s3Key} (${contentType})`);
-  } catch (error) {
-    log(`❌ Error al subir ${s3Key}: ${error.message}`);
-    throw error;
+  // Configurar la disposición del contenido para archivos HTML
+  if (contentType === 'text/html') {
+    metadata.contentDisposition = 'inline';
   }
+  
+  return metadata;
 }
 
 /**
- * Recorre recursivamente un directorio y sube todos los archivos a S3
- * @param {string} directory Directorio a recorrer
- * @param {string} baseS3Path Ruta base en S3
- * @param {boolean} onlyNews Si es true, solo sube archivos relacionados con noticias
+ * Devuelve los valores de una opción `--nombre=valor` de la línea de comandos
+ * @param {string} name Nombre de la opción
+ * @returns {string[]} Valores, en el orden en que aparecen
  */
-async function uploadDirectoryToS3(directory, baseS3Path = '', onlyNews = true) {
-  const files = fs.readdirSync(directory);
+function getArgValues(name) {
+  return args
+    .filter((arg) => arg.startsWith(`--${name}=`))
+    .map((arg) => arg.slice(name.length + 3));
+}
+
+/**
+ * Reúne las opciones del filtro de subida
+ * La línea de comandos manda sobre ONLY_NEWS y esta sobre el archivo de
+ * configuración; los patrones de todas las fuentes se suman al preset.
+ * @param {Object} config Configuración leída de UPLOAD_CONFIG
+ * @returns {{ preset: string, include: string[], exclude: string[] }}
+ */
+function getFilterOptions(config) {
+  const onlyNews = process.env.ONLY_NEWS ? process.env.ONLY_NEWS === 'true' : undefined;
+  const envPreset = onlyNews === undefined ? undefined : (onlyNews ? 'news' : 'full');
   
-  for (const file of files) {
-    const filePath = path.join(directory, file);
-    const stats = fs.statSync(filePath);
-    const relativePath = path.relative(OUT_DIR, filePath);
-    
-    // Determinar si el archivo está relacionado con noticias
-    const isNewsArticle = relativePath.startsWith('news/') && !relativePath.startsWith('news/_');
-    const isStaticAsset = relativePath.startsWith('_next/') || 
-                         relativePath.startsWith('static/') || 
-                         relativePath.endsWith('.css') || 
-                         relativePath.endsWith('.js') || 
-                         relativePath.endsWith('.jpg') || 
-                         relativePath.endsWith('.png') || 
-                         relativePath.endsWith('.svg');
-    
-    // Solo procesar si es un artículo de noticias o un recurso estático necesario
-    const shouldProcess = !onlyNews || isNewsArticle || isStaticAsset;
-    
-    if (stats.isDirectory()) {
-      // Si es un directorio, recursivamente subir su contenido
-      // Verificamos si es un directorio de noticia (news/[slug])
-      const dirName = path.basename(filePath);
-      const parentDir = path.basename(path.dirname(filePath));
-      
-      if (parentDir === 'news' && !dirName.startsWith('_') && !dirName.startsWith('.')) {
-        log(`📁 Detectada noticia: ${dirName}`);
-      }
+  return {
+    preset: getArgValues('preset').pop() || envPreset || config.preset || 'news',
+    include: [...(config.include || []), ...getArgValues('include')],
+    exclude: [...(config.exclude || []), ...getArgValues('exclude')],
+  };
+}
+
+/**
+ * Reúne los archivos del export que pasan el filtro de subida
+ * @param {string} directory Directorio de salida
+ * @param {(relativePath: string) => boolean} filter Filtro de subida
+ * @param {(directory: string) => string[]} listOutputFiles Lista los archivos del export
+ * @param {Function} cachePolicy Política de caché
+ * @returns {Array<Object>} Archivos con su ruta relativa y sus cabeceras
+ */
+function collectFiles(directory, filter, listOutputFiles, cachePolicy) {
+  return listOutputFiles(directory)
+    .filter(filter)
+    .map((relativePath) => {
+      const filePath = path.join(directory, relativePath);
+      const slug = relativePath.replace(/\\/g, '/').match(/^news\/([^/]+)\/index\.html$/)?.[1];
       
-      // Solo procesar directorios relevantes
-      if (shouldProcess || dirName === 'news' || dirName === '_next' || dirName === 'static') {
-        await uploadDirectoryToS3(filePath, path.join(baseS3Path, file), onlyNews);
+      if (slug && slug !== 'page') {
+        log(`📁 Detectada noticia: ${slug}`);
       }
-    } else if (shouldProcess) {
-      // Si es un archivo relevante, subirlo a S3
-      const s3Key = path.join(S3_PREFIX, relativePath).replace(/\\/g, '/');
       
       // Establecer los metadatos adecuados para que el archivo se sirva correctamente desde S3
-      const contentType = mime.lookup(filePath) || 'application/octet-stream';
-      const metadata = {
-        ContentType: contentType
-      };
-      
-      // Configurar la disposición del contenido para archivos HTML
-      if (contentType === 'text/html') {
-        metadata.ContentDisposition = 'inline';
-      }
-      
-      // Si es un archivo HTML, establecer el header Cache-Control
-      if (contentType === 'text/html') {
-        metadata.CacheControl = 'max-age=300'; // 5 minutos de caché para HTML
-      } else if (contentType.startsWith('image/')) {
-        metadata.CacheControl = 'max-age=86400'; // 1 día para imágenes
-      } else {
-        metadata.CacheControl = 'max-age=31536000'; // 1 año para recursos estáticos (JS, CSS)
-      }
-      
-      await uploadFileToS3(filePath, s3Key, metadata);
-    }
-  }
+      return { filePath, relativePath, ...describeFile(filePath, relativePath, cachePolicy) };
+    });
+}
+
+/**
+ * Sube a S3 los archivos del directorio que han cambiado desde el último despliegue
+ * Con PRUNE borra además las claves que ya no están en el export; se compara
+ * con el export completo para no borrar lo que el filtro deja fuera.
+ * @param {string} directory Directorio de salida
+ * @param {Object} options Opciones
+ * @param {(relativePath: string) => boolean} options.filter Filtro de subida
+ * @param {Function} options.cachePolicy Política de caché
+ * @returns {Promise<Object>} Número de archivos nuevos, modificados, sin cambios, subidos y borrados
+ */
+async function uploadDirectoryToS3(directory, { filter, cachePolicy }) {
+  const { syncToS3, listOutputFiles } = await importAppModule('app/lib/aws/s3-sync.mjs');
+  const files = collectFiles(directory, filter, listOutputFiles, cachePolicy);
+  
+  return syncToS3(files, {
+    client: s3Client,
+    bucket: BUCKET_NAME,
+    prefix: S3_PREFIX,
+    log,
+    prune: PRUNE ? listOutputFiles(directory) : undefined,
+    maxDeleteRatio: PRUNE_MAX_RATIO,
+    dryRun: DRY_RUN,
+  });
+}
+
+/**
+ * Importa un módulo ESM compartido con la aplicación Next.js
+ * @param {string} relativePath Ruta del módulo relativa a la raíz del proyecto
+ * @returns {Promise<Object>} Módulo importado
+ */
+function importAppModule(relativePath) {
+  const modulePath = path.join(__dirname, '..', relativePath);
+  return import(pathToFileURL(modulePath).href);
 }
 
 /**
@@ -177,17 +198,48 @@ async function main() {
     process.exit(1);
   }
   
-  // Determinar si solo se deben subir noticias o todos los archivos
-  const onlyNews = process.env.ONLY_NEWS === 'true' || true; // Por defecto, solo noticias
+  const { isValidDeleteRatio } = await importAppModule('app/lib/aws/s3-sync.mjs');
+  if (PRUNE_MAX_RATIO !== undefined && !isValidDeleteRatio(PRUNE_MAX_RATIO)) {
+    log(`❌ Error: S3_PRUNE_MAX_RATIO debe ser un número mayor que 0 y como mucho 1 (valor: ${process.env.S3_PRUNE_MAX_RATIO})`);
+    process.exit(1);
+  }
   
-  if (onlyNews) {
-    log('📝 Modo: Solo subir noticias y archivos necesarios');
-  } else {
-    log('📝 Modo: Subir todos los archivos');
+  if (PRUNE) {
+    log('🧹 Se borrarán del bucket los archivos que ya no están en el export');
   }
   
   try {
-    await uploadDirectoryToS3(OUT_DIR, '', onlyNews);
+    // Determinar qué archivos se suben: lo que cambia al publicar o todo el sitio, más los patrones configurados
+    const { createUploadFilter, readUploadConfig } = await importAppModule('app/lib/aws/upload-filter.mjs');
+    const { createCachePolicy } = await importAppModule('app/lib/aws/cache-policy.mjs');
+    const config = readUploadConfig(UPLOAD_CONFIG);
+    const filterOptions = getFilterOptions(config);
+    const filter = createUploadFilter(filterOptions);
+    // Cache-Control por reglas, con las de la configuración por delante
+    const cachePolicy = createCachePolicy(config.cacheControl);
+    
+    if (filterOptions.preset === 'news') {
+      log('📝 Modo: Subir las páginas que cambian al publicar y sus recursos');
+    } else {
+      log('📝 Modo: Subir todos los archivos');
+    }
+    
+    if (filterOptions.include.length > 0 || filterOptions.exclude.length > 0) {
+      log(`🔎 Patrones adicionales: incluir [${filterOptions.include.join(', ')}], excluir [${filterOptions.exclude.join(', ')}]`);
+    }
+    
+    const resultado = await uploadDirectoryToS3(OUT_DIR, { filter, cachePolicy });
+    
+    if (JSON_OUTPUT) {
+      console.log(JSON.stringify(resultado.plan, null, 2));
+    }
+    
+    if (DRY_RUN) {
+      log(`📋 Simulación: se subirían ${resultado.uploaded} archivos (${resultado.added} nuevos, ${resultado.updated} modificados) y se borrarían ${resultado.deleted}, sin cambios: ${resultado.skipped}`);
+      return;
+    }
+    
+    log(`📊 Subidos: ${resultado.uploaded} (${resultado.added} nuevos, ${resultado.updated} modificados), sin cambios: ${resultado.skipped}, borrados: ${resultado.deleted}`);
     log('✅ Todos los archivos han sido subidos a S3 exitosamente');
   } catch (error) {
     log(`❌ Error durante la subida a S3: ${error.message}`);
@@ -1,8 +1,10 @@
 import { S3Client } from '@aws-sdk/client-s3';
-import { Upload } from '@aws-sdk/lib-storage';
 import fs from 'fs';
 import path from 'path';
 import mime from 'mime-types';
+import { isValidDeleteRatio, listOutputFiles, syncToS3 } from '../app/lib/aws/s3-sync.mjs';
+import { createCachePolicy } from '../app/lib/aws/cache-policy.mjs';
+import { readUploadConfig } from '../app/lib/aws/upload-filter.mjs';
 
 // Configuración de AWS
 const s3Client = new S3Client({
@@ -19,63 +21,69 @@ const BUCKET_NAME = process.env.AWS_S3_BUCKET || '';
 const OUT_DIR = path.join(process.cwd(), 'out');
 // Prefijo para los archivos en S3 (opcional)
 const S3_PREFIX = process.env.AWS_S3_PREFIX || '';
+// Borrar del bucket lo que ya no está en el export (--prune o S3_PRUNE=true)
+const PRUNE = process.argv.includes('--prune') || process.env.S3_PRUNE === 'true';
+// Proporción máxima de objetos que puede borrar una ejecución (por defecto 20%)
+const PRUNE_MAX_RATIO = process.env.S3_PRUNE_MAX_RATIO ? Number(process.env.S3_PRUNE_MAX_RATIO) : undefined;
+// Cache-Control por reglas, con las reglas por ruta de la configuración por delante
+const cachePolicy = createCachePolicy(readUploadConfig(process.env.UPLOAD_CONFIG || path.join(process.cwd(), 'upload.config.json')).cacheControl);
+
+interface LocalFile {
+  filePath: string;
+  relativePath: string;
+  contentType: string;
+  cacheControl: string;
+  cacheRule: string;
+}
 
 /**
- * Sube un archivo a S3
+ * Describe cómo debe servirse un archivo desde S3
  * @param filePath Ruta local del archivo
- * @param s3Key Clave en S3 donde se subirá el archivo
+ * @param relativePath Ruta relativa al directorio de salida
  */
-async function uploadFileToS3(filePath: string, s3Key: string): Promise<void> {
-  const fileContent = fs.readFileSync(filePath);
+function describeFile(filePath: string, relativePath: string): LocalFile {
   const contentType = mime.lookup(filePath) || 'application/octet-stream';
+  const { cacheControl, rule } = cachePolicy(relativePath, contentType);
   
-  try {
-    const upload = new Upload({
-      client: s3Client,
-      params: {
-        Bucket: BUCKET_NAME,
-        Key: s3Key,
-        Body: fileContent,
-        ContentType: contentType,
-        // Configurar el caché para archivos estáticos
-        CacheControl: contentType.includes('image/') 
-          ? 'public, max-age=31536000, immutable' // 1 año para imágenes
-          : contentType.includes('text/html')
-            ? 'public, max-age=0, must-revalidate' // Sin caché para HTML
-            : 'public, max-age=604800', // 1 semana para otros archivos
-      },
-    });
-
-    await upload.done();
-    console.log(`✅ Archivo subido: ${s3Key}`);
-  } catch (error) {
-    console.error(`❌ Error al subir ${s3Key}:`, error);
-    throw error;
-  }
+  return { filePath, relativePath, contentType, cacheControl, cacheRule: rule };
 }
 
 /**
- * Recorre recursivamente un directorio y sube todos los archivos a S3
+ * Recorre recursivamente un directorio y reúne todos sus archivos
  * @param directory Directorio a recorrer
- * @param baseS3Path Ruta base en S3
+ * @param files Archivos reunidos hasta ahora
  */
-async function uploadDirectoryToS3(directory: string, baseS3Path: string = ''): Promise<void> {
-  const files = fs.readdirSync(directory);
+function collectFiles(directory: string, files: LocalFile[] = []): LocalFile[] {
+  const entries = fs.readdirSync(directory);
   
-  for (const file of files) {
+  for (const file of entries) {
     const filePath = path.join(directory, file);
     const stats = fs.statSync(filePath);
     
     if (stats.isDirectory()) {
-      // Si es un directorio, recursivamente subir su contenido
-      await uploadDirectoryToS3(filePath, path.join(baseS3Path, file));
+      // Si es un directorio, recorrer recursivamente su contenido
+      collectFiles(filePath, files);
     } else {
-      // Si es un archivo, subirlo a S3
-      const relativePath = path.relative(OUT_DIR, filePath);
-      const s3Key = path.join(S3_PREFIX, relativePath).replace(/\\/g, '/');
-      await uploadFileToS3(filePath, s3Key);
+      files.push(describeFile(filePath, path.relative(OUT_DIR, filePath)));
     }
   }
+  
+  return files;
+}
+
+/**
+ * Sube a S3 los archivos del directorio que han cambiado desde el último despliegue
+ * y, con PRUNE, borra las claves que ya no están en el export
+ * @param directory Directorio a recorrer
+ */
+async function uploadDirectoryToS3(directory: string) {
+  return syncToS3(collectFiles(directory), {
+    client: s3Client,
+    bucket: BUCKET_NAME,
+    prefix: S3_PREFIX,
+    prune: PRUNE ? listOutputFiles(directory) : undefined,
+    maxDeleteRatio: PRUNE_MAX_RATIO,
+  });
 }
 
 /**
@@ -94,8 +102,14 @@ async function main() {
     process.exit(1);
   }
   
+  if (PRUNE_MAX_RATIO !== undefined && !isValidDeleteRatio(PRUNE_MAX_RATIO)) {
+    console.error(`❌ Error: S3_PRUNE_MAX_RATIO debe ser un número mayor que 0 y como mucho 1 (valor: ${process.env.S3_PRUNE_MAX_RATIO})`);
+    process.exit(1);
+  }
+  
   try {
-    await uploadDirectoryToS3(OUT_DIR);
+    const result = await uploadDirectoryToS3(OUT_DIR);
+    console.log(`📊 Subidos: ${result.uploaded} (${result.added} nuevos, ${result.updated} modificados), sin cambios: ${result.skipped}, borrados: ${result.deleted}`);
     console.log('✅ Todos los archivos han sido subidos a S3 exitosamente');
   } catch (error) {
     console.error('❌ Error durante la subida a S3:', error);
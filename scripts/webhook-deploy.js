@@ -2,20 +2,34 @@
  * Script de despliegue para el webhook
  * Este script se ejecuta cuando se recibe una notificación de Strapi
  * y se encarga de regenerar las páginas estáticas
+ *
+ * Opciones:
+ *   --dry-run  Construye el sitio y muestra el plan de subida sin tocar S3
+ *              ni llamar a la revalidación
+ *   --json     Escribe el plan en JSON por la salida estándar
  */
 
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
 const http = require('http');
 const https = require('https');
 
-const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
+
+// Tamaño máximo de la salida de un comando: la del build y el plan en JSON
+// de un export grande superan el límite por defecto de 1 MB
+const MAX_COMMAND_OUTPUT = 64 * 1024 * 1024;
 
 // Configuración de logs
 const LOG_FILE = path.join(process.cwd(), 'webhook-deploy-logs.txt');
 
+// Opciones de línea de comandos
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const JSON_OUTPUT = args.includes('--json');
+
 /**
  * Función para escribir logs en un archivo
  * @param {string} message Mensaje a loguear
@@ -27,30 +41,43 @@ function log(message) {
   // Escribir en el archivo de logs
   fs.appendFileSync(LOG_FILE, logMessage);
   
-  // También mostrar en consola
-  console.log(message);
+  // También mostrar en consola (con --json, por stderr para no mezclarlo con el plan)
+  if (JSON_OUTPUT) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
 }
 
 /**
  * Ejecuta un comando y loguea su salida
- * @param {string} command Comando a ejecutar
+ * @param {string} file Programa a ejecutar
+ * @param {string[]} commandArgs Argumentos del programa
  * @param {string} name Nombre descriptivo del comando
+ * @param {Object} [env] Variables de entorno que se añaden a las del proceso
+ * @returns {Promise<string>} Salida estándar del comando
  */
-async function runCommand(command, name) {
+async function runCommand(file, commandArgs, name, env = {}) {
   log(`🚀 Iniciando: ${name}`);
   
   try {
-    const { stdout, stderr } = await execPromise(command);
+    const { stdout, stderr } = await execFilePromise(file, commandArgs, {
+      env: { ...process.env, ...env },
+      maxBuffer: MAX_COMMAND_OUTPUT,
+    });
     
     if (stdout) {
       log(`📝 Salida de ${name}:\n${stdout}`);
     }
     
+    // El comando ha terminado bien: lo que escribe por stderr son sus logs
+    // (upload-to-s3.js con --json los manda ahí), no errores
     if (stderr) {
-      log(`⚠️ Errores de ${name}:\n${stderr}`);
+      log(`📝 Mensajes de ${name}:\n${stderr}`);
     }
     
     log(`✅ Completado: ${name}`);
+    return stdout;
   } catch (error) {
     log(`❌ Error en ${name}: ${error.message}`);
     if (error.stdout) log(`📝 Salida: ${error.stdout}`);
@@ -143,16 +170,23 @@ async function regenerateStaticPages() {
  * Función principal que ejecuta el proceso de despliegue
  */
 async function deploy() {
-  log('🚀 Iniciando proceso de despliegue');
+  log(DRY_RUN ? '🚀 Iniciando simulación del despliegue (no se modifica S3)' : '🚀 Iniciando proceso de despliegue');
   
   try {
-    // 1. Regenerar páginas estáticas
-    await regenerateStaticPages();
+    // 1. Regenerar páginas estáticas (la simulación no llama a producción)
+    if (!DRY_RUN) {
+      await regenerateStaticPages();
+    }
     
     // 2. Construir la aplicación para generar archivos HTML estáticos
     log('🔨 Iniciando construcción de archivos estáticos...');
-    // Asegurarnos de que NODE_ENV sea production para generar archivos estáticos
-    await runCommand('NODE_ENV=production npm run build', 'Construcción de la aplicación');
+    // Asegurarnos de que NODE_ENV sea production para generar archivos estáticos.
+    // En modo estricto un fallo de Strapi aborta el build y no se sube nada a S3
+    await runCommand('npm', ['run', 'build'], 'Construcción de la aplicación', {
+      NODE_ENV: 'production',
+      STRAPI_STRICT_BUILD: 'true',
+      MEDIA_MIRROR: 'true',
+    });
     
     // Verificar que se hayan generado los archivos HTML estáticos
     const outDir = path.join(process.cwd(), 'out');
@@ -164,9 +198,22 @@ async function deploy() {
     const htmlFiles = findHtmlFiles(outDir);
     log(`📄 Se encontraron ${htmlFiles.length} archivos HTML estáticos generados`);
     
-    // 3. Subir archivos a S3
+    // 3. Subir archivos a S3 y borrar los artículos eliminados o despublicados
+    if (DRY_RUN) {
+      log('📋 Calculando el plan de subida a S3...');
+      const uploadArgs = ['scripts/upload-to-s3.js', '--prune', '--dry-run', ...(JSON_OUTPUT ? ['--json'] : [])];
+      const plan = await runCommand(process.execPath, uploadArgs, 'Plan de subida a S3');
+      
+      if (JSON_OUTPUT) {
+        console.log(plan.trim());
+      }
+      
+      log('✅ Simulación del despliegue completada');
+      return;
+    }
+    
     log('📤 Iniciando subida de archivos estáticos a S3...');
-    await runCommand('node scripts/upload-to-s3.js', 'Subida a S3');
+    await runCommand(process.execPath, ['scripts/upload-to-s3.js', '--prune'], 'Subida a S3');
     
     log('✅ Proceso de despliegue completado con éxito');
   } catch (error) {
@@ -132,7 +132,7 @@ async function deploy(): Promise<void> {
     // await runCommand('npm install', 'Instalación de dependencias');
     
     // 3. Construir la aplicación (si es necesario)
-    await runCommand('npm run build', 'Construcción de la aplicación');
+    await runCommand('STRAPI_STRICT_BUILD=true npm run build', 'Construcción de la aplicación');
     
     // 4. Subir archivos a S3 (si es necesario)
     // await runCommand('ts-node scripts/upload-to-s3.ts', 'Subida a S3');